@@ -4,6 +4,9 @@ import * as fs from "fs";
 import * as path from "path";
 import { getModel, listModels } from "./config/models.js";
 import { createClient } from "./config/apiClient.js";
+import { loadUserConfig } from "./config/userConfig.js";
+import { countTokens, countMessageTokens } from "./lib/tokens.js";
+import { createStream, measureUsage, addUsage, emptyUsage, formatUsage, usagePolicy, checkBudget } from "./lib/usage.js";
 
 dotenv.config();
 
@@ -49,7 +52,10 @@ async function main() {
   const selectedKey = availableModels[choiceIndex]?.key || availableModels[0].key;
 
   const modelConfig = getModel(selectedKey);
-  const openai = createClient(modelConfig.apiKey);
+  const openai = createClient(modelConfig);
+  const usageLimits = usagePolicy(loadUserConfig().config.usage);
+  const totals = emptyUsage();
+  let budgetWarned = "ok";
 
   // Conversation memory
   const messages = [
@@ -60,7 +66,7 @@ async function main() {
   ];
 
   console.log(`\nUsing: ${modelConfig.name} (${modelConfig.id})`);
-  console.log("(Type 'exit' or 'quit' to end the chat)");
+  console.log("(Type 'exit' or 'quit' to end the chat, '/usage' for token usage)");
 
   while (true) {
     const userMessage = await getUserInput("\nYou: ");
@@ -70,6 +76,22 @@ async function main() {
       break;
     }
 
+    if (userMessage.trim() === "/usage") {
+      const { message } = checkBudget(totals, usageLimits);
+      console.log(`Usage: ${formatUsage(totals)} over ${totals.requests} request(s)${message ? ` — budget: ${message}` : ""}`);
+      continue;
+    }
+
+    const budget = checkBudget(totals, usageLimits);
+    if (budget.level === "over" && usageLimits.onExceed === "block") {
+      console.log(`Session budget reached: ${budget.message}. Restart the chat to continue.`);
+      continue;
+    }
+    if (budget.level !== "ok" && budget.level !== budgetWarned) {
+      budgetWarned = budget.level;
+      console.log(`Warning: session budget ${budget.level === "over" ? "exceeded" : "almost used"}: ${budget.message}`);
+    }
+
     let imageBase64 = null;
     if (modelConfig.isMultimodal) {
       const imagePath = await getUserInput("Image Path (optional, or 'none'): ");
@@ -101,18 +123,20 @@ async function main() {
     let firstChunk = true;
 
     try {
-      const completion = await openai.chat.completions.create({
+      const completion = await createStream(openai, modelConfig, {
         model: modelConfig.id,
         messages: messages,
         temperature: modelConfig.temperature,
         top_p: modelConfig.topP,
         max_tokens: modelConfig.maxTokens,
-        stream: true,
         ...modelConfig.extraParams,
       });
 
       let fullResponse = "";
+      let reported = null;
       for await (const chunk of completion) {
+        reported = chunk.usage || reported;
+
         if (firstChunk) {
           process.stdout.clearLine(0);
           process.stdout.cursorTo(0);
@@ -127,6 +151,12 @@ async function main() {
         }
       }
 
+      // Usage: the API's numbers when it sent them, else an estimate
+      const usage = measureUsage(modelConfig, reported, countMessageTokens(messages), countTokens(fullResponse));
+      addUsage(totals, usage);
+      const turn = formatUsage({ ...usage, estimated: usage.estimated ? 1 : 0 });
+      console.log(`\n(${turn} · session: ${formatUsage(totals)})`);
+
       // Store AI response in history
       messages.push({ role: "assistant", content: fullResponse });
 
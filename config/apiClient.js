@@ -1,12 +1,19 @@
 import OpenAI from "openai";
 
 /**
- * Creates an OpenAI-compatible client pointing at the NVIDIA NIM API.
- * @param {string} apiKey - The NVIDIA API key for the chosen model.
+ * Creates an OpenAI-compatible client for a model's endpoint.
+ * Passing a bare API key keeps the old behaviour (NVIDIA NIM).
+ * @param {object|string} model - A config from getModel(), or an API key.
+ * @param {{ timeout?: number, maxRetries?: number }} [opts] - timeout in milliseconds. Callers with
+ *   their own retry policy pass maxRetries: 0; otherwise the SDK's defaults apply.
  * @returns {OpenAI} Configured client instance.
  */
-export function createClient(apiKey) {
-  const baseURL = process.env.NVIDIA_BASE_URL || "https://integrate.api.nvidia.com/v1";
+export function createClient(model, opts = {}) {
+  if (typeof model === "string") {
+    const baseURL = process.env.NVIDIA_BASE_URL || "https://integrate.api.nvidia.com/v1";
+    return new OpenAI({ apiKey: model, baseURL, ...opts });
+  }
 
-  return new OpenAI({ apiKey, baseURL });
+  const { apiKey, baseURL, headers } = model;
+  return new OpenAI({ apiKey, baseURL, defaultHeaders: headers, ...opts });
 }
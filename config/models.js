@@ -1,16 +1,29 @@
+import { loadUserConfig, CONFIG_FILE } from "./userConfig.js";
+
 /**
  * Central Model Registry
  * All available AI models and their configurations.
+ * Built-in models run on NVIDIA NIM; `devai.config.json` can add more.
  */
 
+const PROVIDERS = {
+  nvidia: {
+    name: "NVIDIA NIM",
+    baseURL: "https://integrate.api.nvidia.com/v1",
+    baseURLEnv: "NVIDIA_BASE_URL",
+    headers: {},
+  },
+};
+
 const MODELS = {
   kimi: {
     id: "moonshotai/kimi-k2.5",
     name: "Moonshot Kimi-k2.5",
     description: "High Performance, Multi-modal",
+    provider: "nvidia",
     envKey: "NVIDIA_API_KEY_KIMI",
     maxTokens: 16384,
-    contextLimit: 500000, // ~128k tokens
+    contextWindow: 131072, // tokens (prompt + output)
     temperature: 1.0,
     topP: 1.0,
     isMultimodal: true,
@@ -21,9 +34,10 @@ const MODELS = {
     id: "qwen/qwen3-coder-480b-a35b-instruct",
     name: "Qwen3-Coder-480b",
     description: "Specialized for Code",
+    provider: "nvidia",
     envKey: "NVIDIA_API_KEY_QWEN",
     maxTokens: 4096,
-    contextLimit: 120000, // ~30k tokens
+    contextWindow: 32768, // tokens (prompt + output)
     temperature: 0.7,
     topP: 0.8,
     isMultimodal: false,
@@ -34,9 +48,10 @@ const MODELS = {
     id: "z-ai/glm4.7",
     name: "GLM-4.7",
     description: "Multi-modal Original",
+    provider: "nvidia",
     envKey: "NVIDIA_API_KEY_GLM",
     maxTokens: 16384,
-    contextLimit: 500000, // ~128k tokens
+    contextWindow: 131072, // tokens (prompt + output)
     temperature: 1.0,
     topP: 1.0,
     isMultimodal: true,
@@ -47,9 +62,10 @@ const MODELS = {
     id: "meta/llama-3.1-70b-instruct",
     name: "Llama 3.1 70B",
     description: "Meta Open Weights",
+    provider: "nvidia",
     envKey: "NVIDIA_API_KEY_LLAMA70B",
     maxTokens: 8192,
-    contextLimit: 500000, // ~128k tokens
+    contextWindow: 131072, // tokens (prompt + output)
     temperature: 0.7,
     topP: 1.0,
     isMultimodal: false,
@@ -60,9 +76,10 @@ const MODELS = {
     id: "meta/llama-3.1-405b-instruct",
     name: "Llama 3.1 405B",
     description: "Meta Frontier Model",
+    provider: "nvidia",
     envKey: "NVIDIA_API_KEY_LLAMA405B",
     maxTokens: 8192,
-    contextLimit: 500000, // ~128k tokens
+    contextWindow: 131072, // tokens (prompt + output)
     temperature: 0.7,
     topP: 1.0, 
     isMultimodal: false,
@@ -70,32 +87,201 @@ const MODELS = {
   },
 };
 
+// Tried in order when the selected model stays unavailable (`"fallbacks"` in devai.config.json)
+const FALLBACKS = ["kimi", "glm", "llama405b"];
+
+/* ================= USER CONFIG ================= */
+
+const PROVIDER_FIELDS = {
+  name: "string",
+  baseURL: "string",
+  baseURLEnv: "string",
+  envKey: "string",
+  headers: "object",
+};
+
+const MODEL_FIELDS = {
+  id: "string",
+  name: "string",
+  description: "string",
+  provider: "string",
+  baseURL: "string",
+  envKey: "string",
+  headers: "object",
+  maxTokens: "integer",
+  contextWindow: "integer",
+  contextLimit: "integer", // Legacy: characters, converted to contextWindow
+  temperature: "number",
+  topP: "number",
+  isMultimodal: "boolean",
+  extraParams: "object",
+  pricing: "object",      // { input, output }: USD per 1M tokens
+  streamUsage: "boolean", // false for endpoints that reject stream_options.include_usage
+};
+
+function checkType(value, type) {
+  if (type === "integer") return Number.isInteger(value) && value > 0;
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function checkFields(entry, fields, where, errors) {
+  if (!checkType(entry, "object")) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const [field, value] of Object.entries(entry)) {
+    const type = fields[field];
+    if (!type) errors.push(`${where}.${field} is not a known field`);
+    else if (!checkType(value, type)) {
+      errors.push(`${where}.${field} must be ${type === "integer" ? "a positive integer" : `a ${type}`}`);
+    }
+  }
+}
+
+/**
+ * Validates the `providers` / `models` sections of a user config.
+ * @returns {string[]} Human-readable problems (empty when valid).
+ */
+export function validateModelConfig(config) {
+  const errors = [];
+  const providers = config.providers ?? {};
+  const models = config.models ?? {};
+
+  if (!checkType(providers, "object")) errors.push("providers must be an object");
+  else for (const [key, p] of Object.entries(providers)) checkFields(p, PROVIDER_FIELDS, `providers.${key}`, errors);
+
+  if (!checkType(models, "object")) {
+    errors.push("models must be an object");
+    return errors;
+  }
+
+  const knownProviders = new Set([...Object.keys(PROVIDERS), ...Object.keys(checkType(providers, "object") ? providers : {})]);
+  for (const [key, m] of Object.entries(models)) {
+    checkFields(m, MODEL_FIELDS, `models.${key}`, errors);
+    if (!checkType(m, "object")) continue;
+    const merged = { ...MODELS[key], ...m };
+    if (checkType(m.pricing, "object")) {
+      for (const [field, value] of Object.entries(m.pricing)) {
+        if (!["input", "output"].includes(field)) errors.push(`models.${key}.pricing.${field} is not a known field`);
+        else if (!(typeof value === "number" && value >= 0)) errors.push(`models.${key}.pricing.${field} must be a non-negative number (USD per 1M tokens)`);
+      }
+    }
+    if (!merged.id) errors.push(`models.${key}.id is required`);
+    if (!merged.provider && !merged.baseURL) errors.push(`models.${key} needs a "provider" or a "baseURL"`);
+    if (merged.provider && !knownProviders.has(merged.provider)) {
+      errors.push(`models.${key}.provider "${merged.provider}" is not defined`);
+    }
+  }
+
+  const fallbacks = config.fallbacks;
+  if (fallbacks !== undefined) {
+    if (!Array.isArray(fallbacks) || fallbacks.some(k => typeof k !== "string")) errors.push("fallbacks must be an array of model keys");
+    else for (const k of fallbacks) if (!MODELS[k] && !models[k]) errors.push(`fallbacks: "${k}" is not a known model`);
+  }
+  return errors;
+}
+
 /**
- * Returns the model config with the API key resolved from env.
- * @param {string} key - One of 'kimi', 'qwen', 'glm'
+ * Merges built-in providers/models with the user's devai.config.json.
+ * @param {string} [projectDir]
  */
-export function getModel(key) {
-  const model = MODELS[key];
+export function resolveRegistry(projectDir) {
+  const { config, sources } = loadUserConfig(projectDir);
+  const errors = validateModelConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${CONFIG_FILE} (${sources.join(", ")}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const providers = { ...PROVIDERS };
+  for (const [key, p] of Object.entries(config.providers ?? {})) {
+    providers[key] = { headers: {}, ...providers[key], ...p };
+  }
+
+  const models = { ...MODELS };
+  for (const [key, m] of Object.entries(config.models ?? {})) {
+    models[key] = {
+      name: key,
+      description: "Custom model",
+      temperature: 0.7,
+      topP: 1.0,
+      maxTokens: 4096,
+      contextWindow: 32768,
+      isMultimodal: false,
+      extraParams: {},
+      ...MODELS[key],
+      ...m,
+    };
+    if (m.contextLimit && !m.contextWindow) models[key].contextWindow = Math.round(m.contextLimit / 4);
+  }
+
+  return { providers, models, fallbacks: config.fallbacks ?? FALLBACKS, sources };
+}
+
+/**
+ * Returns the model config with the endpoint and API key resolved.
+ * @param {string} key - A built-in key ('kimi', 'qwen', ...) or one from devai.config.json
+ * @param {{ projectDir?: string }} [opts]
+ */
+export function getModel(key, { projectDir } = {}) {
+  const { providers, models } = resolveRegistry(projectDir);
+  const model = models[key];
   if (!model) throw new Error(`Unknown model key: ${key}`);
 
-  const apiKey = process.env[model.envKey];
-  if (!apiKey) {
-    throw new Error(
-      `Missing API key: Set ${model.envKey} in your .env file`
-    );
+  const provider = providers[model.provider] ?? {};
+  const baseURL = model.baseURL
+    || (provider.baseURLEnv && process.env[provider.baseURLEnv])
+    || provider.baseURL;
+  const headers = { ...provider.headers, ...model.headers };
+
+  // Local servers often need no key; the OpenAI client still wants a non-empty one.
+  const envKey = model.envKey ?? provider.envKey;
+  let apiKey = "not-needed";
+  if (envKey) {
+    apiKey = process.env[envKey];
+    if (!apiKey) {
+      throw new Error(
+        `Missing API key: Set ${envKey} in your .env file`
+      );
+    }
   }
 
-  return { ...model, apiKey };
+  return { key, ...model, envKey, baseURL, headers, apiKey };
+}
+
+/**
+ * Models to switch to, in order, when `key` is unavailable. Only models in
+ * the fallback list have a chain (so a local model never falls back to a
+ * cloud one unless the user lists both); it continues after `key`'s place
+ * and wraps around. Models without an API key are skipped.
+ * @param {string} key
+ * @param {{ projectDir?: string }} [opts]
+ * @returns {object[]} Configs as from getModel().
+ */
+export function fallbackChain(key, { projectDir } = {}) {
+  const { fallbacks } = resolveRegistry(projectDir);
+  const at = fallbacks.indexOf(key);
+  if (at === -1) return [];
+  return [...fallbacks.slice(at + 1), ...fallbacks.slice(0, at)].filter(k => k !== key).flatMap(k => {
+    try {
+      return [getModel(k, { projectDir })];
+    } catch {
+      return [];
+    }
+  });
 }
 
 /** Returns all model keys for listing. */
-export function listModels() {
-  return Object.entries(MODELS).map(([key, m]) => ({
+export function listModels({ projectDir } = {}) {
+  const { models } = resolveRegistry(projectDir);
+  return Object.entries(models).map(([key, m]) => ({
     key,
     id: m.id,
     name: m.name,
     description: m.description,
+    provider: m.provider ?? "custom",
   }));
 }
 
+export { PROVIDERS, FALLBACKS };
 export default MODELS;
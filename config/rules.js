@@ -0,0 +1,56 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Project Rules
+ * Reads `DEVAI.md` from the home directory and the project root: free-form
+ * conventions, preferred stack, forbidden patterns and build commands that
+ * are added to the system prompt. An optional front matter block sets options:
+ *
+ *   ---
+ *   styleHint: false      (drop the built-in stack/design defaults)
+ *   build: npm run check  (default build command)
+ *   ---
+ */
+
+export const RULES_FILE = "DEVAI.md";
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/** Splits a rules file into its options (front matter) and Markdown body. */
+export function parseRules(text) {
+  const options = {};
+  const m = text.match(FRONT_MATTER);
+  if (!m) return { options, body: text.trim() };
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!kv || line.trim().startsWith("#")) continue;
+    const value = kv[2].replace(/^(["'])(.*)\1$/, "$2");
+    options[kv[1]] = value === "true" ? true : value === "false" ? false : value;
+  }
+  return { options, body: text.slice(m[0].length).trim() };
+}
+
+/**
+ * Loads the user-global and project rules. Project options win over global ones.
+ * @param {string} [projectDir]
+ * @returns {{ sources: Array<{ file: string, scope: "global"|"project", body: string }>, options: object }}
+ */
+export function loadRules(projectDir = process.cwd()) {
+  const candidates = [
+    { file: path.join(os.homedir(), RULES_FILE), scope: "global" },
+    { file: path.join(path.resolve(projectDir), RULES_FILE), scope: "project" },
+  ];
+  const sources = [];
+  let options = {};
+  const seen = new Set();
+  for (const { file, scope } of candidates) {
+    if (seen.has(file) || !fs.existsSync(file)) continue;
+    seen.add(file);
+    const { options: own, body } = parseRules(fs.readFileSync(file, "utf8"));
+    options = { ...options, ...own };
+    sources.push({ file, scope, body });
+  }
+  return { sources, options };
+}
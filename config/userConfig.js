@@ -0,0 +1,64 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * User Config Loader
+ * Reads `devai.config.json` from the home directory and the project root.
+ * The project file wins over the home file, key by key.
+ */
+
+export const CONFIG_FILE = "devai.config.json";
+
+const cache = new Map();
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/** Recursively merges `over` into `base`. Arrays and scalars are replaced. */
+export function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? deepMerge(out[k], v) : v;
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not parse ${file}: ${e.message}`);
+  }
+  if (!isPlainObject(parsed)) throw new Error(`${file} must contain a JSON object`);
+  return parsed;
+}
+
+/**
+ * Returns the merged user config for a project.
+ * @param {string} [projectDir] - Project root (defaults to cwd).
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {{ config: object, sources: string[] }}
+ */
+export function loadUserConfig(projectDir = process.cwd(), { reload = false } = {}) {
+  const dir = path.resolve(projectDir);
+  if (!reload && cache.has(dir)) return cache.get(dir);
+
+  const candidates = [path.join(os.homedir(), CONFIG_FILE), path.join(dir, CONFIG_FILE)];
+  let config = {};
+  const sources = [];
+  for (const file of [...new Set(candidates)]) {
+    const data = readConfigFile(file);
+    if (data) {
+      config = deepMerge(config, data);
+      sources.push(file);
+    }
+  }
+
+  const result = { config, sources };
+  cache.set(dir, result);
+  return result;
+}
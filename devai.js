@@ -1,26 +1,114 @@
 import dotenv from "dotenv";
 import fs from "fs";
+import os from "os";
 import path from "path";
 import readline from "readline";
 import sharp from "sharp";
-import { createPatch } from "diff";
-import { execSync } from "child_process";
+import { parseArgs } from "util";
 import chalk from "chalk";
-import { getModel, listModels } from "./config/models.js";
+import { getModel, listModels, fallbackChain } from "./config/models.js";
 import { createClient } from "./config/apiClient.js";
+import { loadUserConfig, CONFIG_FILE } from "./config/userConfig.js";
+import { loadRules, RULES_FILE } from "./config/rules.js";
+import { parseIgnoreFile, matchIgnore } from "./lib/ignore.js";
+import { redactSecrets, restoreSecrets, summarizeFindings } from "./lib/redact.js";
+import { fileHunks, hunkNewLines, hunkText, renderHunk, applyHunks, editText } from "./lib/review.js";
+import { applyUnifiedDiff } from "./lib/patch.js";
+import { updateIndex, searchIndex, grepFiles } from "./lib/search.js";
+import { buildImportGraph, neighbors } from "./lib/graph.js";
+import { outlineFile } from "./lib/outline.js";
+import { detectStages, configuredStages, runStage, DEFAULT_TIMEOUT } from "./lib/verify.js";
+import { checkCommand, runCommand, DEFAULT_TIMEOUT as COMMAND_TIMEOUT } from "./lib/commands.js";
+import { validateResponse } from "./lib/schema.js";
+import { retryPolicy, classifyError, withRetry, DEFAULT_RETRY } from "./lib/retry.js";
+import { createStream, measureUsage, addUsage, emptyUsage, formatUsage, formatCost, usagePolicy, checkBudget } from "./lib/usage.js";
+import { parseBuildErrors, errorRanges, errorSignature, outputSignature } from "./lib/buildErrors.js";
+import { countTokens, countMessageTokens, formatTokens } from "./lib/tokens.js";
+import { parseMentions, resolveMentions, completeMention, IMAGE_EXTS } from "./lib/mentions.js";
+import {
+  createSession, loadSession, saveSession, sessionExists, lastSessionName, listSessions, defaultSessionName,
+  isValidSessionName, transcriptPath, exportPath, copyTranscript, readTranscript, sessionToMarkdown,
+} from "./lib/sessions.js";
+import { beginCheckpoint, trackFile, commitCheckpoint, undo, redo, loadHistory, ensureDevaiDir, DEVAI_DIR } from "./lib/history.js";
 
 dotenv.config();
 
 /* ================= CONFIG ================= */
 
-const MEMORY_FILE = ".devai_memory.json";
+const MEMORY_FILE = ".devai_memory.json"; // Legacy single conversation, imported as session "default"
 let customBuildCmd = null;  // User-set build command via /build <cmd>
+let reviewMode = false;     // Staged per-file/per-hunk review via /review or --review
+let applyMode = "strict";   // "strict": one invalid entry aborts the response; "best-effort": apply what validates
+let repairAttempts = 2;     // Correction requests for replies that break the response schema
+let memoryConfig = {};      // "memory": { "historyTokens" } in devai.config.json
+let verifyConfig = {};      // "verify": { "stages", "timeout" } in devai.config.json
+let commandConfig = {};     // "commands": { "allow", "deny", "timeout" } in devai.config.json
+let retryConfig = DEFAULT_RETRY; // "retry": per-error-kind retries and backoff, see lib/retry.js
 
 /* ================= INPUT ================= */
 
-function ask(q) {
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  return new Promise(res => rl.question(q, ans => { rl.close(); res(ans.trim()); }));
+function ask(q, { completer, initial } = {}) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, completer });
+  const answer = new Promise(res => rl.question(q, ans => { rl.close(); res(ans.trim()); }));
+  if (initial) rl.write(initial); // Pre-filled, editable answer
+  return answer;
+}
+
+async function readStdin() {
+  let data = "";
+  for await (const chunk of process.stdin) data += chunk;
+  return data.trim();
+}
+
+/* ================= CLI ARGS ================= */
+
+// Exit codes for headless runs, so DevAI can be chained in shell pipelines
+const EXIT = {
+  OK: 0,            // Changes applied (or nothing to change) and build passed/skipped
+  ERROR: 1,         // Bad arguments, config, API or parse failure
+  NO_CHANGES: 2,    // Response had no applicable file changes (or dry run)
+  BUILD_FAILED: 3,  // Changes applied but selfDebugLoop could not make the build pass
+  INCOMPLETE: 4,    // --agent hit --max-steps before the agent called finish
+};
+
+const USAGE = `
+Usage: node devai.js [options]
+
+  -p, --project <dir>   Project folder (default: current dir)
+  -m, --model <key>     Model key or number from the model list
+      --prompt <text>   Run a single request without prompts ("-" reads stdin)
+  -i, --image <path>    Attach an image to the request
+  -y, --yes             Apply changes without the review prompt
+      --no-build        Skip the build/test self-debug loop after applying
+  -r, --review          Review each file/hunk before it is written (interactive only)
+  -a, --agent           Use the tool-calling agent instead of a one-shot JSON reply
+      --max-steps <n>   Agent step limit per task (default: 25)
+      --resume          Continue the last session (headless runs start a new one otherwise)
+  -h, --help            Show this help
+
+Without --prompt, a piped stdin is used as the prompt (headless mode).
+Headless runs without --yes are dry runs: nothing is written.
+Exit codes: 0 ok, 1 error, 2 no changes applied, 3 build failed, 4 agent step limit reached.
+`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      project: { type: "string", short: "p" },
+      model: { type: "string", short: "m" },
+      prompt: { type: "string" },
+      image: { type: "string", short: "i" },
+      yes: { type: "boolean", short: "y", default: false },
+      "no-build": { type: "boolean", default: false },
+      review: { type: "boolean", short: "r", default: false },
+      agent: { type: "boolean", short: "a", default: false },
+      "max-steps": { type: "string" },
+      resume: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  return values;
 }
 
 /* ================= PROJECT DETECT ================= */
@@ -40,6 +128,78 @@ function detectProjectType(dir) {
   return "Empty / Unknown";
 }
 
+/* ================= SECRET REDACTION ================= */
+
+// Overridden by "redaction": { "enabled", "allowlist" } in devai.config.json
+let redaction = { enabled: true, allowlist: [] };
+let redactionFindings = [];  // Collected until the next reportRedactions()
+
+/** Masks secrets in text sent to the model; findings go to the next report unless collected elsewhere. */
+function redact(text, { filePath = "", source, findings = redactionFindings } = {}) {
+  if (!redaction.enabled) return text;
+  const result = redactSecrets(text, { filePath, source, allowlist: redaction.allowlist });
+  findings.push(...result.findings);
+  return result.text;
+}
+
+function reportRedactions() {
+  if (redactionFindings.length > 0) {
+    console.log(chalk.gray(`🔒 Redacted ${redactionFindings.length} secret(s): ${summarizeFindings(redactionFindings)}`));
+  }
+  redactionFindings = [];
+}
+
+/* ================= TOKEN BUDGET ================= */
+
+const MIN_CONTEXT_TOKENS = 2000; // Below this, the oldest history is left out of the request
+const SAFETY_MARGIN = 0.05;      // Share of the window kept free for estimation error
+
+/**
+ * Splits a model's window into system prompt + history + request + project
+ * context + reserved output. If the context share would drop below
+ * MIN_CONTEXT_TOKENS, the oldest history turns are left out of this request
+ * (memory itself is untouched).
+ * @param {object} model - From getModel().
+ * @param {object[]} history - Conversation, starting with the system prompt.
+ * @param {string|object[]} request - The new user message without project context.
+ * @returns {{ messages: object[], dropped: number, budget: object }} messages = history to send.
+ */
+function planBudget(model, history, request) {
+  const window = model.contextWindow || 32768;
+  const output = Math.min(model.maxTokens || 4096, Math.floor(window / 2));
+  const fixed = output + Math.ceil(window * SAFETY_MARGIN);
+  const [systemMessage, ...turns] = history;
+  const system = systemMessage ? countMessageTokens([systemMessage]) : 0;
+  const requestTokens = countMessageTokens([{ role: "user", content: request }]);
+
+  let kept = turns;
+  let historyTokens = countMessageTokens(kept);
+  while (kept.length > 0 && window - fixed - system - historyTokens - requestTokens < MIN_CONTEXT_TOKENS) {
+    kept = kept.slice(2); // Oldest user/assistant pair
+    historyTokens = countMessageTokens(kept);
+  }
+
+  return {
+    messages: systemMessage ? [systemMessage, ...kept] : kept,
+    dropped: turns.length - kept.length,
+    budget: {
+      window, output, system, request: requestTokens, history: historyTokens,
+      context: Math.max(0, window - fixed - system - historyTokens - requestTokens),
+    },
+  };
+}
+
+/** Prints one line: where this turn's tokens go. */
+function printBudget({ budget, dropped }, contextUsed) {
+  const total = budget.system + budget.history + budget.request + contextUsed + budget.output;
+  console.log(chalk.gray(
+    `📊 Tokens: system ${formatTokens(budget.system)} · history ${formatTokens(budget.history)} · ` +
+    `request ${formatTokens(budget.request)} · context ${formatTokens(contextUsed)}/${formatTokens(budget.context)} · ` +
+    `output ${formatTokens(budget.output)} reserved = ${formatTokens(total)} of ${formatTokens(budget.window)}` +
+    (dropped > 0 ? ` (${dropped} old message(s) left out)` : "")
+  ));
+}
+
 /* ================= SMART CONTEXT SELECTOR ================= */
 
 const BINARY_EXTS = new Set([
@@ -52,29 +212,83 @@ const BINARY_EXTS = new Set([
   ".lock"
 ]);
 
-const SKIP_NAMES = new Set(["node_modules", ".git", ".devai_memory.json", "_devai_last_response.txt"]);
+const SKIP_NAMES = new Set(["node_modules", ".git", DEVAI_DIR, ".devai_memory.json", "_devai_last_response.txt"]);
 const CONFIG_FILES = new Set(["package.json", ".env", ".env.example", "tsconfig.json", "vite.config.js", "webpack.config.js"]);
 
-function collectFiles(dir) {
+const IGNORE_FILE = ".devaiignore";
+
+// Contents read by collectFiles, reused while a file's mtime and size are unchanged
+const fileCache = new Map();
+
+// Files from LARGE_FILE up to MAX_FILE are only ever shown as outlines
+const LARGE_FILE = 100000;
+const MAX_FILE = 2000000;
+
+function readIgnoreRules(file, base, source) {
+  try {
+    return fs.existsSync(file) ? parseIgnoreFile(fs.readFileSync(file, "utf8"), { base, source }) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Walks the project and returns readable text files.
+ * Honors SKIP_NAMES, nested .gitignore files and the root .devaiignore.
+ * @param {string} dir - Project root.
+ * @param {{ excluded?: Array<{ path: string, reason: string }> }} [opts] - Pass
+ *   an array to collect what was skipped and why (used by /context).
+ */
+function collectFiles(dir, { excluded = null } = {}) {
   const files = [];
-  function walk(d, prefix = "") {
+  const skip = (rel, reason) => { if (excluded) excluded.push({ path: rel, reason }); };
+
+  // .devaiignore is checked first and wins over any .gitignore
+  const devaiRules = readIgnoreRules(path.join(dir, IGNORE_FILE), "", IGNORE_FILE);
+
+  function ignoredBy(rel, isDir, gitRules) {
+    const hit = matchIgnore(devaiRules, rel, isDir) || matchIgnore(gitRules, rel, isDir);
+    return hit?.ignored ? hit.rule : null;
+  }
+
+  function walk(d, prefix = "", gitRules = []) {
     let entries;
     try { entries = fs.readdirSync(d); } catch { return; }
+
+    const localIgnore = readIgnoreRules(path.join(d, ".gitignore"), prefix, prefix ? `${prefix}/.gitignore` : ".gitignore");
+    if (localIgnore.length > 0) gitRules = [...gitRules, ...localIgnore];
+
     for (const f of entries) {
-      if (SKIP_NAMES.has(f)) continue;
+      const rel = prefix ? `${prefix}/${f}` : f;
+      if (SKIP_NAMES.has(f)) { skip(rel, "built-in skip list"); continue; }
       const full = path.join(d, f);
       let stat;
       try { stat = fs.statSync(full); } catch { continue; }
-      const rel = path.relative(dir, full);
+      const rule = ignoredBy(rel, stat.isDirectory(), gitRules);
+      if (rule) {
+        skip(stat.isDirectory() ? `${rel}/` : rel, `${rule.source}:${rule.line} (${rule.pattern})`);
+        continue;
+      }
       if (stat.isDirectory()) {
-        walk(full, rel);
-      } else if (stat.size < 100000 && !BINARY_EXTS.has(path.extname(f).toLowerCase())) {
+        walk(full, rel, gitRules);
+      } else if (BINARY_EXTS.has(path.extname(f).toLowerCase())) {
+        skip(rel, "binary extension");
+      } else if (stat.size >= MAX_FILE) {
+        skip(rel, `too large (${(stat.size / 1024).toFixed(0)} KB)`);
+      } else {
         try {
-          const content = fs.readFileSync(full, "utf8");
-          const nonPrintable = content.slice(0, 500).split("").filter(c => c.charCodeAt(0) < 32 && c !== "\n" && c !== "\r" && c !== "\t").length;
-          if (nonPrintable < 5) {
-            const lines = content.split("\n").length;
-            files.push({ path: rel, content, lines, size: stat.size, mtime: stat.mtimeMs });
+          let cached = fileCache.get(full);
+          if (!cached || cached.mtime !== stat.mtimeMs || cached.size !== stat.size) {
+            const content = fs.readFileSync(full, "utf8");
+            const nonPrintable = content.slice(0, 500).split("").filter(c => c.charCodeAt(0) < 32 && c !== "\n" && c !== "\r" && c !== "\t").length;
+            cached = { mtime: stat.mtimeMs, size: stat.size, content: nonPrintable < 5 ? content : null };
+            fileCache.set(full, cached);
+          }
+          if (cached.content !== null) {
+            const lines = cached.content.split("\n").length;
+            files.push({ path: rel, content: cached.content, lines, size: stat.size, mtime: stat.mtimeMs, large: stat.size >= LARGE_FILE });
+          } else {
+            skip(rel, "binary content");
           }
         } catch {}
       }
@@ -86,7 +300,40 @@ function collectFiles(dir) {
   return files;
 }
 
-function scoreRelevance(file, keywords) {
+/** Prints what collectFiles includes and what it excluded, grouped by reason. */
+function showContextReport(dir) {
+  const excluded = [];
+  const files = collectFiles(dir, { excluded });
+  const totalChars = files.reduce((n, f) => n + f.content.length, 0);
+
+  console.log(`\n📁 Included: ${files.length} file(s), ${totalChars.toLocaleString()} chars`);
+  const large = files.filter(f => f.large);
+  if (large.length > 0) console.log(chalk.gray(`   (${large.length} file(s) over ${LARGE_FILE / 1000} KB are sent as outlines: ${large.map(f => f.path).join(", ")})`));
+  if (excluded.length === 0) {
+    console.log("🚫 Excluded: nothing\n");
+    return;
+  }
+
+  const byReason = new Map();
+  for (const e of excluded) {
+    if (!byReason.has(e.reason)) byReason.set(e.reason, []);
+    byReason.get(e.reason).push(e.path);
+  }
+  console.log(`🚫 Excluded: ${excluded.length} path(s)`);
+  for (const [reason, paths] of byReason) {
+    console.log(chalk.yellow(`  ${reason}`));
+    paths.slice(0, 20).forEach(p => console.log(chalk.gray(`    ${p}`)));
+    if (paths.length > 20) console.log(chalk.gray(`    ... and ${paths.length - 20} more`));
+  }
+  console.log();
+}
+
+/**
+ * Ranks a file for the context budget.
+ * @param {object} file - From collectFiles().
+ * @param {number} match - BM25 score against the request, normalized to 0..1.
+ */
+function scoreRelevance(file, match) {
   let score = 0;
   const name = file.path.toLowerCase();
   const basename = path.basename(name);
@@ -102,59 +349,149 @@ function scoreRelevance(file, keywords) {
   if (ageMinutes < 30) score += 4;
   else if (ageMinutes < 120) score += 2;
 
-  // Keyword matching against path and content
-  for (const kw of keywords) {
-    if (name.includes(kw)) score += 6;
-    if (file.content.toLowerCase().includes(kw)) score += 2;
-  }
+  // Relevance to the request outweighs every heuristic above
+  score += match * 20;
 
   return score;
 }
 
-function buildSmartContext(dir, userInput, maxChars = 12000) {
+/**
+ * Selects project files for a request within a token budget: @mentioned
+ * files first (always in full), then full files by relevance, then outlines
+ * or previews for what doesn't fit.
+ * @param {{ mentioned?: string[] }} [opts] - Paths from resolveMentions().
+ */
+function buildSmartContext(dir, userInput, maxTokens = 3000, { mentioned = [] } = {}) {
   const files = collectFiles(dir);
   if (files.length === 0) return "(empty project)";
 
   // Build file tree
   const tree = files.map(f => `  ${f.path} (${f.lines} lines)`).join("\n");
 
-  // Extract keywords from user input (words 3+ chars, lowercased)
-  const keywords = userInput.toLowerCase()
-    .split(/[^a-z0-9]+/)
-    .filter(w => w.length >= 3);
+  // Rank by BM25 against the request (the index only re-reads changed files); secrets never reach .devai/index.json
+  const { index } = updateIndex(dir, files, { prepare: (content, filePath) => redaction.enabled ? redactSecrets(content, { filePath, allowlist: redaction.allowlist }).text : content });
+  const matches = searchIndex(index, userInput);
+  const best = Math.max(0, ...matches.values()) || 1;
+  const match = new Map([...matches].map(([p, s]) => [p, s / best]));
+
+  // Direct imports and importers of a matching file get half its match as a boost
+  const graph = buildImportGraph(files);
+  const boost = new Map();
+  for (const [p, m] of match) {
+    for (const n of neighbors(graph, p)) boost.set(n, Math.max(boost.get(n) || 0, m * 0.5));
+  }
 
-  // Score and sort files by relevance
-  const scored = files.map(f => ({ ...f, score: scoreRelevance(f, keywords) }))
+  const scored = files.filter(f => !mentioned.includes(f.path))
+    .map(f => ({ ...f, score: scoreRelevance(f, (match.get(f.path) || 0) + (boost.get(f.path) || 0)) }))
     .sort((a, b) => b.score - a.score);
 
   // Build context within budget
   let context = `📁 File Tree (${files.length} files):\n${tree}\n\n`;
-  let used = context.length;
+  let used = countTokens(context);
   const fullFiles = [];
   const previews = [];
 
+  // @mentioned files go in full even past the budget
+  const pinned = mentioned.map(p => files.find(f => f.path === p)).filter(Boolean)
+    .map(f => `--- ${f.path} ---\n${redact(f.content, { filePath: f.path })}\n`);
+  if (pinned.length > 0) {
+    context += `📌 Mentioned Files (${pinned.length}):\n${pinned.join("\n")}\n`;
+    used += countTokens(pinned.join("\n"));
+    if (used > maxTokens) console.log(chalk.yellow(`⚠️  Mentioned files alone exceed the context budget (${formatTokens(used)} of ${formatTokens(maxTokens)} tokens)`));
+  }
+
+  // Findings are reported only for what is actually sent, not for files left out
   for (const f of scored) {
-    const fullEntry = `--- ${f.path} ---\n${f.content}\n`;
-    if (used + fullEntry.length < maxChars) {
+    const found = [];
+    const content = redact(f.content, { filePath: f.path, findings: found });
+    const fullEntry = `--- ${f.path} ---\n${content}\n`;
+    const fullTokens = f.large ? Infinity : countTokens(fullEntry);
+    if (used + fullTokens < maxTokens) {
       fullFiles.push(fullEntry);
-      used += fullEntry.length;
-    } else {
-      // Add a short preview instead
-      const preview = f.content.split("\n").slice(0, 5).join("\n");
-      const previewEntry = `--- ${f.path} (preview) ---\n${preview}\n`;
-      if (used + previewEntry.length < maxChars) {
-        previews.push(previewEntry);
-        used += previewEntry.length;
-      }
+      used += fullTokens;
+      redactionFindings.push(...found);
+      continue;
+    }
+
+    // Doesn't fit: an outline with line numbers (the model can "read" ranges), else a short preview
+    const outline = outlineFile(f.path, content);
+    const entry = outline
+      ? `--- ${f.path} (outline, ${f.lines} lines) ---\n${outline}\n`
+      : `--- ${f.path} (preview) ---\n${content.split("\n").slice(0, 5).join("\n")}\n`;
+    const entryTokens = countTokens(entry);
+    if (used + entryTokens < maxTokens) {
+      previews.push(entry);
+      used += entryTokens;
+      redactionFindings.push(...found.slice(0, entry.match(/\[REDACTED:/g)?.length ?? 0));
     }
   }
 
   if (fullFiles.length > 0) context += `📄 Full Files (${fullFiles.length}):\n${fullFiles.join("\n")}`;
-  if (previews.length > 0) context += `\n📝 Previews:\n${previews.join("\n")}`;
+  if (previews.length > 0) context += `\n📝 Outlines & Previews (reply with "read" to see more):\n${previews.join("\n")}`;
 
   return context;
 }
 
+/** Tab completion for @mentions at the "You:" prompt. */
+function mentionCompleter(line) {
+  return completeMention(line, collectFiles(projectDir).map(f => f.path));
+}
+
+const MAX_READ_LINES = 400;
+const MAX_READ_ROUNDS = 3;
+
+/**
+ * Fetches the line ranges a model asked for with "read" (after seeing an outline).
+ * @param {Array<{ path: string, start?: number, end?: number }>} ranges
+ * @returns {string} Numbered excerpts, ready to send back as the next user message.
+ */
+function readLineRanges(projectDir, ranges) {
+  return ranges.map(r => {
+    const resolved = resolveProjectPath(projectDir, r?.path || "");
+    if (!resolved) return `--- ${r?.path} ---\n(outside the project)`;
+    const content = readProjectFile(resolved.fullPath);
+    if (content === null) return `--- ${resolved.normalized} ---\n(file not found)`;
+
+    const lines = redact(content, { filePath: resolved.normalized }).split("\n");
+    const start = Math.max(1, parseInt(r.start, 10) || 1);
+    const end = Math.min(lines.length, parseInt(r.end, 10) || lines.length, start + MAX_READ_LINES - 1);
+    const body = lines.slice(start - 1, end).map((l, i) => `${start + i}: ${l}`).join("\n");
+    return `--- ${resolved.normalized} (lines ${start}-${end} of ${lines.length}) ---\n${body}`;
+  }).join("\n\n");
+}
+
+/** True when a reply only asks to read line ranges (no file changes yet). */
+function wantsRead(parsed) {
+  return Array.isArray(parsed?.read) && parsed.read.length > 0 && !(parsed.files?.length > 0);
+}
+
+function describeReads(ranges) {
+  return ranges.map(r => `${r?.path}:${r?.start ?? 1}-${r?.end ?? "end"}`).join(", ");
+}
+
+/** Prints a file's imports, importers and package dependencies for /graph. */
+function showGraph(dir, query) {
+  const files = collectFiles(dir);
+  const wanted = query.replace(/\\/g, "/").replace(/^\.\//, "");
+  const file = files.find(f => f.path === wanted)?.path
+    || files.find(f => f.path.endsWith(`/${wanted}`) || path.basename(f.path) === wanted)?.path;
+  if (!file) {
+    console.log(`\n❌ Not found in context: ${query}\n`);
+    return;
+  }
+
+  const graph = buildImportGraph(files);
+  const list = (title, items) => {
+    console.log(chalk.yellow(`  ${title} (${items.length})`));
+    items.sort().forEach(p => console.log(chalk.gray(`    ${p}`)));
+  };
+  console.log(`\n🕸  ${file}`);
+  list("Imports", [...graph.imports.get(file)]);
+  list("Imported by", [...graph.importers.get(file)]);
+  list("Packages / unresolved", [...graph.external.get(file)]);
+  console.log();
+}
+
 /* ================= FUZZY SEARCH ================= */
 
 function similarity(a, b) {
@@ -230,28 +567,85 @@ function fuzzyFindAndReplace(fileContent, search, replace) {
 
 /* ================= PATCH WRITER ================= */
 
-function patchFile(projectDir, filePath, newContent, edits = null) {
+/**
+ * Resolves a model-supplied path inside the project.
+ * @returns {{ normalized: string, fullPath: string } | null} null on a path escape attempt.
+ */
+function resolveProjectPath(projectDir, filePath) {
   // Sanitize path — prevent writing outside project folder
   const normalized = path.normalize(filePath).replace(/^(\.\.[/\\])+/, "");
   const fullPath = path.resolve(projectDir, normalized);
-  
-  // Security: ensure the file stays within the project directory
-  if (!fullPath.startsWith(path.resolve(projectDir))) {
+
+  // Security: ensure the file stays within the project directory (a sibling like "<project>-other" is outside)
+  const root = path.resolve(projectDir);
+  if (fullPath !== root && !fullPath.startsWith(root + path.sep)) return null;
+  return { normalized, fullPath };
+}
+
+// While a transaction is validated, staged results of earlier entries (fullPath → content, null = deleted)
+let stagedFiles = null;
+
+/** Reads a project file as later entries of the current transaction will see it. @returns {string|null} */
+function readProjectFile(fullPath) {
+  if (stagedFiles?.has(fullPath)) return stagedFiles.get(fullPath);
+  try {
+    return fs.statSync(fullPath).isFile() ? fs.readFileSync(fullPath, "utf8") : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeFileAtomic(fullPath, content) {
+  const tmp = `${fullPath}.devai-tmp-${process.pid}`;
+  try {
+    fs.writeFileSync(tmp, content, "utf8");
+    fs.renameSync(tmp, fullPath);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * The model only sees secrets as "[REDACTED:...]": put the real values back
+ * where new content repeats those placeholders, and refuse the change when
+ * a placeholder can't be traced to a single value in the file.
+ * @returns {object|null} The change with restored content, or null if refused.
+ */
+function restoreRedacted(change) {
+  const { text, restored, unresolved } = restoreSecrets(change.before, change.after, { filePath: change.normalized, allowlist: redaction.allowlist });
+  if (unresolved.length > 0) {
+    console.log(`  ❌ Refused: ${change.normalized} would contain ${unresolved.join(", ")} instead of the real value(s)`);
+    pendingFeedback.push({ path: change.normalized, kind: "failed", reason: `new content contains the placeholder(s) ${unresolved.join(", ")}; keep secret values out of your output and leave those lines as they are`, detail: "whole file" });
+    return null;
+  }
+  if (restored > 0) console.log(chalk.gray(`    🔒 Kept ${restored} redacted secret value(s) in ${change.normalized}`));
+  return { ...change, after: text };
+}
+
+/**
+ * Works out a file's new content without touching disk.
+ * @returns {{ normalized: string, fullPath: string, mode: "edit"|"write", before: string|null, after: string, applied?: number, failed?: number } | null}
+ *   null if the path is blocked or the edit target doesn't exist.
+ */
+function computeChange(projectDir, filePath, newContent, edits = null) {
+  const resolved = resolveProjectPath(projectDir, filePath);
+  if (!resolved) {
     console.log("❌ Blocked:", filePath, "(path escape attempt)");
-    return;
+    return null;
   }
+  const { normalized, fullPath } = resolved;
 
   try {
-    // Ensure the directory exists
-    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    const before = readProjectFile(fullPath);
 
     // === SURGICAL EDIT MODE (search/replace) ===
     if (edits && Array.isArray(edits) && edits.length > 0) {
-      if (!fs.existsSync(fullPath)) {
+      if (before === null) {
         console.log("  ❌ Cannot edit (file doesn't exist):", normalized);
-        return;
+        return null;
       }
-      let content = fs.readFileSync(fullPath, "utf8");
+      let content = before;
       let applied = 0, failed = 0;
 
       for (const edit of edits) {
@@ -260,6 +654,13 @@ function patchFile(projectDir, filePath, newContent, edits = null) {
           failed++;
           continue;
         }
+        // Refuse to guess when the exact block occurs more than once
+        const occurrences = content.split(edit.search).length - 1;
+        if (occurrences > 1) {
+          console.log(`    ⚠️  Ambiguous search block (${occurrences} matches) — needs more context`);
+          failed++;
+          continue;
+        }
         const result = fuzzyFindAndReplace(content, edit.search, edit.replace);
         if (result !== null) {
           content = result;
@@ -269,117 +670,485 @@ function patchFile(projectDir, filePath, newContent, edits = null) {
           failed++;
         }
       }
-
-      fs.writeFileSync(fullPath, content, "utf8");
-      console.log(`  🔧 Surgical edit: ${normalized} (${applied} applied, ${failed} failed)`);
-      return;
+      return restoreRedacted({ normalized, fullPath, mode: "edit", before, after: content, applied, failed });
     }
 
     // === FULL OVERWRITE MODE (backward-compatible) ===
-    if (!fs.existsSync(fullPath)) {
-      fs.writeFileSync(fullPath, newContent, "utf8");
-      console.log("  📄 Created:", normalized);
-      return;
+    return restoreRedacted({ normalized, fullPath, mode: "write", before, after: newContent });
+  } catch (e) {
+    console.log("  ❌ Failed to read:", normalized, "—", e.message);
+    return null;
+  }
+}
+
+/**
+ * Like computeChange(), but applies a unified diff ("action": "patch").
+ * Failed hunks are printed and queued as feedback for the model's next turn.
+ */
+function computePatchChange(projectDir, filePath, diffText) {
+  const resolved = resolveProjectPath(projectDir, filePath);
+  if (!resolved) {
+    console.log("❌ Blocked:", filePath, "(path escape attempt)");
+    return null;
+  }
+  const { normalized, fullPath } = resolved;
+
+  try {
+    const before = readProjectFile(fullPath);
+    const { content, applied, failed } = applyUnifiedDiff(before ?? "", diffText);
+    for (const h of applied.filter(h => h.offset !== 0 || h.fuzz > 0)) {
+      console.log(chalk.gray(`    ↳ ${h.header} applied with offset ${h.offset}, fuzz ${h.fuzz}`));
+    }
+    for (const h of failed) {
+      console.log(`    ⚠️  Hunk ${h.header} failed: ${h.reason}`);
+      pendingFeedback.push({ path: normalized, kind: "failed", reason: h.reason, detail: h.text });
+    }
+    return restoreRedacted({ normalized, fullPath, mode: "patch", before, after: content, applied: applied.length, failed: failed.length });
+  } catch (e) {
+    console.log("  ❌ Invalid diff for", normalized, "—", e.message);
+    pendingFeedback.push({ path: normalized, kind: "failed", reason: `diff could not be parsed (${e.message})`, detail: "whole file" });
+    return null;
+  }
+}
+
+/** Change for `"action": "delete"`. Only regular files can be deleted. */
+function computeDeleteChange(projectDir, filePath) {
+  const resolved = resolveProjectPath(projectDir, filePath);
+  if (!resolved) {
+    console.log("❌ Blocked:", filePath, "(path escape attempt)");
+    return null;
+  }
+  const { normalized, fullPath } = resolved;
+  const before = readProjectFile(fullPath);
+  if (before === null) {
+    console.log("  ⚠️  Cannot delete (file doesn't exist):", normalized);
+    return null;
+  }
+  return { normalized, fullPath, mode: "delete", before, after: null };
+}
+
+/**
+ * Change for `"action": "rename"` / `"move"` (`"to"` is the destination).
+ * A bare name in a rename stays in the same folder; a move to "dir/" keeps the file name.
+ * An optional `"content"` replaces the file's content at its new location.
+ */
+function computeMoveChange(projectDir, f) {
+  let to = f.to ?? f.newPath;
+  if (typeof to !== "string" || !to.trim()) {
+    console.log(`  ❌ Skipped ${f.action} entry (missing "to"):`, f.path);
+    return null;
+  }
+  if (f.action === "rename" && !/[/\\]/.test(to)) to = path.join(path.dirname(f.path), to);
+  if (/[/\\]$/.test(to)) to = path.join(to, path.basename(f.path));
+
+  const source = resolveProjectPath(projectDir, f.path);
+  const target = resolveProjectPath(projectDir, to);
+  if (!source || !target) {
+    console.log("❌ Blocked:", source ? to : f.path, "(path escape attempt)");
+    return null;
+  }
+  const before = readProjectFile(source.fullPath);
+  if (before === null) {
+    console.log(`  ❌ Cannot ${f.action} (file doesn't exist):`, source.normalized);
+    return null;
+  }
+  const targetTaken = stagedFiles?.has(target.fullPath) ? stagedFiles.get(target.fullPath) !== null : fs.existsSync(target.fullPath);
+  if (targetTaken) {
+    console.log(`  ❌ Cannot ${f.action} (target already exists):`, target.normalized);
+    return null;
+  }
+  const after = typeof f.content === "string" ? f.content : before;
+  return restoreRedacted({ ...source, mode: "move", target, before, after });
+}
+
+/**
+ * Computes the change for one entry of a response's `files` array.
+ * @returns {object|null} null for invalid entries (already reported).
+ */
+function computeEntryChange(projectDir, f) {
+  if (!f.path) {
+    console.log("  ❌ Skipped invalid file entry (missing path)");
+    return null;
+  }
+  if (f.action === "delete") return computeDeleteChange(projectDir, f.path);
+  if (f.action === "rename" || f.action === "move") return computeMoveChange(projectDir, f);
+  if (f.action === "patch") {
+    if (typeof f.diff === "string") return computePatchChange(projectDir, f.path, f.diff);
+    console.log("  ❌ Skipped patch entry (missing diff):", f.path);
+    return null;
+  }
+  // Surgical edit mode: use search/replace edits
+  if (f.edits && Array.isArray(f.edits)) return computeChange(projectDir, f.path, null, f.edits);
+  // Full overwrite mode (backward-compatible)
+  if (typeof f.content === "string") return computeChange(projectDir, f.path, f.content);
+  console.log("  ❌ Skipped invalid file entry (missing content, edits or diff)");
+  return null;
+}
+
+/**
+ * Writes a change from computeChange() to disk (via temp file + rename).
+ * Throws on I/O errors so a transaction can roll back.
+ * @returns {boolean} true if the file on disk changed.
+ */
+function writeChangeOrThrow(change) {
+  const { normalized, fullPath, mode, before, after } = change;
+
+  // Record the pre-write state for /undo
+  if (activeCheckpoint) trackFile(activeCheckpoint, normalized);
+  if (activeCheckpoint && change.target) trackFile(activeCheckpoint, change.target.normalized);
+
+  if (mode === "delete") {
+    fs.rmSync(fullPath);
+    console.log("  🗑  Deleted:", normalized);
+    return true;
+  }
+
+  if (mode === "move") {
+    fs.mkdirSync(path.dirname(change.target.fullPath), { recursive: true });
+    fs.renameSync(fullPath, change.target.fullPath);
+    if (after !== before) writeFileAtomic(change.target.fullPath, after);
+    console.log(`  🔀 Moved: ${normalized} → ${change.target.normalized}${after !== before ? " (content updated)" : ""}`);
+    return true;
+  }
+
+  // Ensure the directory exists
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+
+  if (mode === "edit") {
+    writeFileAtomic(fullPath, after);
+    console.log(`  🔧 Surgical edit: ${normalized} (${change.applied} applied, ${change.failed} failed)`);
+    return change.applied > 0;
+  }
+
+  if (mode === "patch") {
+    writeFileAtomic(fullPath, after);
+    console.log(`  🩹 Diff patch: ${normalized} (${change.applied} hunk(s) applied, ${change.failed} failed)`);
+    return change.applied > 0;
+  }
+
+  if (before === null) {
+    writeFileAtomic(fullPath, after);
+    console.log("  📄 Created:", normalized);
+    return true;
+  }
+
+  if (before === after) {
+    console.log("  ✓ No change:", normalized);
+    return false;
+  }
+
+  writeFileAtomic(fullPath, after);
+  console.log("  🛠 Patched:", normalized);
+  return true;
+}
+
+/** Like writeChangeOrThrow(), but reports errors instead of throwing. */
+function writeChange(change) {
+  try {
+    return writeChangeOrThrow(change);
+  } catch (e) {
+    console.log("  ❌ Failed to write:", change.normalized, "—", e.message);
+    return false;
+  }
+}
+
+/**
+ * Writes a full file or applies search/replace edits.
+ * @returns {boolean} true if the file on disk changed.
+ */
+function patchFile(projectDir, filePath, newContent, edits = null) {
+  const change = computeChange(projectDir, filePath, newContent, edits);
+  return change ? writeChange(change) : false;
+}
+
+/* ================= TRANSACTIONS ================= */
+
+/**
+ * Validates every entry of a response against the current contents (and the
+ * entries before it) without writing anything.
+ * @returns {{ changes: object[], problems: Array<{ path: string, reason: string }> }}
+ */
+function stageChanges(projectDir, files) {
+  const changes = [], problems = [];
+  stagedFiles = new Map();
+  try {
+    for (const f of files) {
+      const change = computeEntryChange(projectDir, f);
+      if (!change) {
+        problems.push({ path: f?.path || "(missing path)", reason: `invalid ${f?.action || "file"} entry or target` });
+        continue;
+      }
+      if (change.failed > 0) {
+        problems.push({ path: change.normalized, reason: `${change.failed} ${change.mode === "patch" ? "hunk(s)" : "edit(s)"} did not match (missing or ambiguous)` });
+      }
+      changes.push(change);
+      stagedFiles.set(change.fullPath, change.mode === "move" ? null : change.after);
+      if (change.target) stagedFiles.set(change.target.fullPath, change.after);
     }
+  } finally {
+    stagedFiles = null;
+  }
+  return { changes, problems };
+}
 
-    const oldContent = fs.readFileSync(fullPath, "utf8");
-    if (oldContent === newContent) {
-      console.log("  ✓ No change:", normalized);
-      return;
+/**
+ * Writes validated changes as one unit: if any write fails, every file the
+ * transaction touched is restored to its original state.
+ * @param {string} projectDir - Root the changes were staged against (for messages).
+ * @returns {{ ok: boolean, applied: number }}
+ */
+function commitChanges(projectDir, changes) {
+  // Snapshot originals of everything we might touch
+  const originals = new Map();
+  for (const c of changes) {
+    for (const p of [c.fullPath, c.target?.fullPath].filter(Boolean)) {
+      if (!originals.has(p)) originals.set(p, fs.existsSync(p) ? fs.readFileSync(p) : null);
     }
+  }
 
-    const patch = createPatch(filePath, oldContent, newContent);
-    fs.writeFileSync(fullPath, newContent, "utf8");
-    console.log("  🛠 Patched:", normalized);
+  let applied = 0;
+  try {
+    for (const c of changes) {
+      if (writeChangeOrThrow(c)) applied++;
+    }
+    return { ok: true, applied };
   } catch (e) {
-    console.log("  ❌ Failed to write:", normalized, "—", e.message);
+    console.log(chalk.red(`  ❌ Write failed (${e.message}) — rolling back ${originals.size} file(s)...`));
+    for (const [p, content] of originals) {
+      try {
+        if (content === null) {
+          if (fs.existsSync(p)) fs.rmSync(p);
+        } else {
+          fs.mkdirSync(path.dirname(p), { recursive: true });
+          fs.writeFileSync(p, content);
+        }
+      } catch (err) {
+        console.log(chalk.red(`  ❌ Could not restore ${path.relative(projectDir, p)}: ${err.message}`));
+      }
+    }
+    return { ok: false, applied: 0 };
+  }
+}
+
+/**
+ * Validates and applies a response's `files` array according to applyMode.
+ * Problems are queued as feedback for the model's next turn.
+ * @returns {{ ok: boolean, applied: number }}
+ */
+function applyTransaction(projectDir, files) {
+  const { changes, problems } = stageChanges(projectDir, files);
+  for (const p of problems) pendingFeedback.push({ path: p.path, kind: "failed", reason: p.reason, detail: "whole file" });
+
+  if (problems.length > 0 && applyMode === "strict") {
+    console.log(chalk.red(`\n  ❌ ${problems.length} problem(s) found — nothing was written (strict mode):`));
+    problems.forEach(p => console.log(chalk.red(`     • ${p.path}: ${p.reason}`)));
+    console.log(chalk.gray("     Use /apply best-effort to write the valid parts anyway."));
+    pendingFeedback.push({ path: "(all files)", kind: "failed", reason: "strict mode rejected the whole response because of the problems above", detail: "whole file" });
+    return { ok: false, applied: 0 };
   }
+
+  // Best-effort: skip changes where nothing matched
+  const writable = changes.filter(c => !(c.failed > 0 && c.applied === 0));
+  return commitChanges(projectDir, writable);
 }
 
-/* ================= BUILD COMMAND DETECTION ================= */
+/**
+ * Writes a reply's `files` as one undoable turn: through the hunk review when
+ * review mode is on (and not --yes), else straight through applyTransaction.
+ * @param {string} label - Checkpoint label for /history.
+ * @returns {Promise<{ applied: number, entry: object|null }>} entry is the checkpoint of an
+ *   unreviewed write (for the keep/undo prompt); null after a review, which already asked.
+ */
+async function applyReplyFiles(projectDir, files, label, { autoAccept = false } = {}) {
+  if (!reviewMode || autoAccept) {
+    beginTurn(projectDir, label);
+    console.log(`\n📂 Writing ${files.length} file(s) (${applyMode}):`);
+    const { applied } = applyTransaction(projectDir, await confirmDeletes(files, { autoAccept }));
+    return { applied, entry: endTurn() };
+  }
+
+  // Staged review: nothing touches disk until each file/hunk is approved
+  const { changes, problems } = stageChanges(projectDir, files);
+  for (const p of problems) pendingFeedback.push({ path: p.path, kind: "failed", reason: p.reason, detail: "whole file" });
+  let applied = 0;
+  if (problems.length > 0 && applyMode === "strict") {
+    console.log(chalk.red(`\n  ❌ ${problems.length} problem(s) found — nothing to review (strict mode):`));
+    problems.forEach(p => console.log(chalk.red(`     • ${p.path}: ${p.reason}`)));
+  } else {
+    const approved = await reviewChanges(changes);
+    beginTurn(projectDir, label);
+    if (approved.length > 0) console.log(`\n📂 Writing ${approved.length} reviewed file(s):`);
+    applied = commitChanges(projectDir, approved).applied;
+    endTurn();
+  }
+  if (pendingFeedback.length > 0) console.log(chalk.gray(`   (${pendingFeedback.length} rejected/failed change(s) will be reported to the AI next turn)`));
+  return { applied, entry: null };
+}
 
-function detectBuildCommand(dir) {
-  if (customBuildCmd) return customBuildCmd;
+/* ================= VERIFICATION PIPELINE ================= */
 
+/**
+ * The stages that verify changes: a /build <cmd> override, else
+ * "verify.stages" from devai.config.json, else DEVAI.md's build command,
+ * else stages detected from the project's manifests.
+ * @returns {Array<{ name: string, run: string, timeout?: number }>}
+ */
+function verificationStages(dir) {
+  if (customBuildCmd) return [{ name: "custom", run: customBuildCmd }];
   try {
-    const pkgPath = path.join(dir, "package.json");
-    if (fs.existsSync(pkgPath)) {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
-      const scripts = pkg.scripts || {};
-      // Priority: test > build > lint > start
-      if (scripts.test && scripts.test !== 'echo "Error: no test specified" && exit 1') return "npm test";
-      if (scripts.build) return "npm run build";
-      if (scripts.lint) return "npm run lint";
-      return null;
+    const configured = configuredStages(verifyConfig);
+    if (configured) return configured;
+  } catch (e) {
+    console.log(chalk.yellow(`⚠️  ${CONFIG_FILE}: ${e.message} — using detected stages`));
+  }
+  if (rules.options.build && typeof rules.options.build === "string") return [{ name: "build", run: rules.options.build }];
+  return detectStages(dir);
+}
+
+function stageTimeout(stage) {
+  return stage.timeout || (verifyConfig.timeout > 0 ? verifyConfig.timeout : DEFAULT_TIMEOUT);
+}
+
+/**
+ * Runs stages in order starting at `from`, stopping at the first failure.
+ * @returns {{ index: number, stage: object, output: string, timedOut: boolean }|null} The failed stage, or null if all passed.
+ */
+function runPipeline(dir, stages, from = 0, { quiet = false } = {}) {
+  for (let i = from; i < stages.length; i++) {
+    const stage = stages[i];
+    if (!quiet) console.log(chalk.cyan(`▶ [${i + 1}/${stages.length}] ${stage.name}: ${stage.run}`));
+    const result = runStage(stage, dir, stageTimeout(stage));
+    const took = `${result.seconds.toFixed(1)}s`;
+    if (result.ok) {
+      if (!quiet) console.log(chalk.green(`  ✓ ${stage.name} passed (${took})`));
+      continue;
     }
-    if (fs.existsSync(path.join(dir, "requirements.txt"))) return "python -m pytest";
-    if (fs.existsSync(path.join(dir, "Cargo.toml"))) return "cargo build";
-    if (fs.existsSync(path.join(dir, "go.mod"))) return "go build ./...";
-  } catch {}
+    if (!quiet) {
+      const skipped = stages.slice(i + 1).map(s => s.name);
+      console.log(chalk.red(`  ✗ ${stage.name} ${result.timedOut ? `timed out after ${stageTimeout(stage)}s` : `failed (${took})`}`) +
+        (skipped.length ? chalk.gray(` — skipping ${skipped.join(", ")}`) : ""));
+    }
+    return { index: i, stage, output: result.output, timedOut: result.timedOut };
+  }
   return null;
 }
 
+/** Prints the pipeline for /build stages. */
+function showStages(dir) {
+  const stages = verificationStages(dir);
+  if (stages.length === 0) {
+    console.log("\n⚠️  No verification stages detected. Set one with /build <command> or \"verify.stages\" in devai.config.json.");
+    return;
+  }
+  const source = customBuildCmd ? "/build <cmd>" : verifyConfig.stages ? CONFIG_FILE : rules.options.build ? RULES_FILE : "detected";
+  console.log(`\n🔨 Verification pipeline (${source}):`);
+  stages.forEach((s, i) => console.log(`  ${i + 1}. ${s.name.padEnd(10)} ${s.run} ${chalk.gray(`(timeout ${stageTimeout(s)}s)`)}`));
+}
+
 /* ================= SELF-DEBUGGER LOOP ================= */
 
-async function selfDebugLoop(projectDir, messages, client, modelConfig, maxAttempts = 3) {
-  const buildCmd = detectBuildCommand(projectDir);
-  if (!buildCmd) {
+/**
+ * Parses a failed build's output for the fix prompt and prints what was found.
+ * `seenErrors` (signature → attempt) is updated so errors that survive a fix are called out.
+ * @returns {{ errorList: string, repeated: string, locations: string, query: string }}
+ *   Prompt sections ("" when nothing was parsed) and a search query for the smart context.
+ */
+function describeBuildErrors(projectDir, output, attempt, seenErrors) {
+  const errors = parseBuildErrors(output, projectDir, collectFiles(projectDir).map(f => f.path));
+  const where = e => `${e.file}:${e.line}${e.column ? `:${e.column}` : ""}`;
+
+  if (errors.length > 0) {
+    console.log(chalk.cyan(`\n🧭 ${errors.length} error(s) located:`));
+    errors.slice(0, 5).forEach(e => console.log(chalk.gray(`   ${where(e)}  ${e.message}`)));
+    if (errors.length > 5) console.log(chalk.gray(`   … ${errors.length - 5} more`));
+  }
+
+  // Unparsed output is compared as a whole
+  const signatures = errors.length > 0 ? errors.map(errorSignature) : [outputSignature(output)];
+  const repeats = [];
+  signatures.forEach((sig, i) => {
+    if (seenErrors.has(sig)) repeats.push({ error: errors[i], since: seenErrors.get(sig) });
+    else seenErrors.set(sig, attempt);
+  });
+
+  let repeated = "";
+  if (repeats.length > 0) {
+    const since = Math.min(...repeats.map(r => r.since));
+    const which = repeats.length === signatures.length ? "The same error" : `${repeats.length} of these errors`;
+    console.log(chalk.yellow(`🔁 ${which} already occurred in attempt ${since} — the previous fix did not work`));
+    repeated = `NOTE: ${which} also occurred in attempt ${since}${errors.length > 0 ? ` (${repeats.map(r => where(r.error)).join(", ")})` : ""}. ` +
+      "Your previous fix did not solve it. Re-read the code below and try a different approach instead of repeating the same change.";
+  }
+
+  return {
+    errorList: redact(errors.map(e => `- ${where(e)}: ${e.message}`).join("\n"), { source: "build output" }),
+    repeated,
+    locations: errors.length > 0 ? readLineRanges(projectDir, errorRanges(errors)) : "",
+    query: errors.length > 0 ? `fix build error ${errors.map(e => `${e.file} ${e.message}`).join(" ")}` : "",
+  };
+}
+
+async function selfDebugLoop(projectDir, messages, maxAttempts = 3) {
+  const stages = verificationStages(projectDir);
+  if (stages.length === 0) {
     console.log("\n⚠️  No build/test command detected.");
     console.log("   Use: /build <command>  to set one (e.g. /build npm test)");
     return;
   }
 
-  console.log(`\n🔨 Running: ${buildCmd}`);
+  console.log(`\n🔨 Verifying: ${stages.map(s => s.name).join(" → ")}`);
   console.log("─".repeat(50));
 
+  const seenErrors = new Map(); // Error signature → attempt it first appeared in
+  let from = 0;                 // Stages that passed are not rerun after a fix
+
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const output = execSync(buildCmd, {
-        cwd: projectDir,
-        encoding: "utf8",
-        timeout: 60000,
-        stdio: ["pipe", "pipe", "pipe"]
-      });
-      console.log(output.slice(0, 1000));
-      console.log(`\n✅ Build/test PASSED on attempt ${attempt}!`);
+    const failure = runPipeline(projectDir, stages, from);
+    if (!failure) {
+      console.log(`\n✅ ${stages.length > 1 ? `All ${stages.length} stages` : "Build/test"} PASSED on attempt ${attempt}!`);
       return true;
-    } catch (e) {
-      const errorOutput = (e.stderr || "") + (e.stdout || "") || e.message;
-      const truncatedError = errorOutput.slice(0, 2000);
-      console.log(`\n🔴 Build FAILED (attempt ${attempt}/${maxAttempts}):`);
-      console.log(truncatedError.slice(0, 500));
+    }
 
-      if (attempt >= maxAttempts) {
-        console.log(`\n❌ Max attempts (${maxAttempts}) reached. Manual fix needed.`);
-        return false;
-      }
+    const { stage, index } = failure;
+    from = index;
+    const errorOutput = failure.timedOut
+      ? `${failure.output}\n(Timed out after ${stageTimeout(stage)}s — the command may hang or wait for input.)`
+      : failure.output;
+    const truncatedError = errorOutput.slice(0, 2000);
+    console.log(`\n🔴 ${stage.name} FAILED (attempt ${attempt}/${maxAttempts}):`);
+    console.log(truncatedError.slice(0, 500));
+
+    if (attempt >= maxAttempts) {
+      console.log(`\n❌ Max attempts (${maxAttempts}) reached. Manual fix needed.`);
+      return false;
+    }
 
-      // Feed error back to AI for auto-fix
-      console.log(`\n🤖 Asking AI to fix (attempt ${attempt + 1}/${maxAttempts})...`);
+    // Feed error back to AI for auto-fix
+    console.log(`\n🤖 Asking AI to fix (attempt ${attempt + 1}/${maxAttempts})...`);
+
+    const safeError = redact(truncatedError, { source: "build output" });
+    const { errorList, repeated, locations, query } = describeBuildErrors(projectDir, errorOutput, attempt, seenErrors);
+    const fixRequest = `BUILD/TEST FAILED at stage "${stage.name}" (\`${stage.run}\`, ${index + 1} of ${stages.length}). Fix ${errorList ? "the errors below" : "this error"}:\n\n` +
+      (errorList ? `${errorList}\n\nRaw output:\n` : "") +
+      `\`\`\`\n${safeError}\`\`\`\n\n` +
+      (repeated ? `${repeated}\n\n` : "") +
+      (locations ? `Code at the error locations (line-numbered):\n${locations}\n\n` : "") +
+      "Return the fixed file(s) as JSON. Use surgical edits when possible.";
+    const plan = planBudget(modelConfig, withRules(messages), fixRequest);
+    const smartContext = buildSmartContext(projectDir, query || `fix build error ${safeError}`, plan.budget.context);
+    reportRedactions();
+    const fixMessage = { role: "user", content: `${fixRequest}\n\nProject context:\n${smartContext}` };
+    messages.push(fixMessage);
+    printBudget(plan, countTokens(smartContext));
+
+    // The model may ask to "read" line ranges first; those go back to it like in a normal turn
+    let sent = [...plan.messages, fixMessage];
+    let parsed, problems;
+    for (let readRound = 0; ; readRound++) {
       process.stdout.write("DevAI: Analyzing error");
-
-      const smartContext = buildSmartContext(projectDir, "fix build error", modelConfig.contextLimit || 12000);
-      messages.push({
-        role: "user",
-        content: `BUILD/TEST FAILED. Fix this error:\n\n\`\`\`\n${truncatedError}\`\`\`\n\nProject context:\n${smartContext}\n\nReturn the fixed file(s) as JSON. Use surgical edits when possible.`
-      });
-
-      let reply = "";
+      let reply = "", finishReason = null, usage = null;
       try {
-        const stream = await client.chat.completions.create({
-          model: modelConfig.id,
-          messages,
-          temperature: modelConfig.temperature,
-          top_p: modelConfig.topP,
-          max_tokens: modelConfig.maxTokens,
-          stream: true,
-          ...modelConfig.extraParams
-        });
-
-        for await (const chunk of stream) {
-          const delta = chunk.choices?.[0]?.delta?.content;
-          if (delta) reply += delta;
-        }
+        ({ text: reply, finishReason, usage } = await streamCompletion(sent));
       } catch (apiErr) {
         console.log(`\n❌ AI API error: ${apiErr.message}`);
         return false;
@@ -391,165 +1160,543 @@ async function selfDebugLoop(projectDir, messages, client, modelConfig, maxAttem
       }
 
       console.log(" ✓");
-      messages.push({ role: "assistant", content: reply });
-
-      const parsed = parseJSON(reply);
-      if (!parsed || !parsed.files) {
-        console.log("⚠️  Could not parse AI fix response.");
+      trackUsage(countMessageTokens(sent), countTokens(reply), usage);
+      reply = await continueTruncated(sent, reply, finishReason);
+      const checked = await parseValidReply(sent, reply);
+      messages.push({ role: "assistant", content: checked.reply });
+      ({ parsed, problems } = checked);
+      if (!wantsRead(parsed)) break;
+
+      if (readRound >= MAX_READ_ROUNDS) {
+        console.log(chalk.yellow(`\n⚠️  The AI is still asking for more lines after ${MAX_READ_ROUNDS} rounds — stopping here.`));
         return false;
       }
+      console.log(`📖 AI asked to read: ${describeReads(parsed.read)}`);
+      const readMessage = { role: "user", content: `Here are the lines you asked for:\n${readLineRanges(projectDir, parsed.read)}\n\nNow return the fixed file(s) as JSON.` };
+      messages.push(readMessage);
+      sent = [...sent, { role: "assistant", content: checked.reply }, readMessage];
+    }
 
-      // Apply fixes
-      console.log(`\n📂 Applying ${parsed.files.length} fix(es):`);
-      for (const f of parsed.files) {
-        if (!f.path) continue;
-        if (f.edits && Array.isArray(f.edits)) {
-          patchFile(projectDir, f.path, null, f.edits);
-        } else if (typeof f.content === "string") {
-          patchFile(projectDir, f.path, f.content);
-        }
-      }
+    if (!parsed || !Array.isArray(parsed.files) || (problems.length > 0 && applyMode === "strict")) {
+      console.log(`⚠️  Could not use the AI fix response${problems.length ? `: ${summarizeProblems(problems)}` : " (no files)"}`);
+      return false;
+    }
 
-      console.log(`\n🔄 Retrying build...`);
+    // Apply fixes the way a normal turn does (hunk review in review mode)
+    const { applied } = await applyReplyFiles(projectDir, parsed.files, `auto-fix: ${stage.name} (attempt ${attempt + 1})`, { autoAccept: cli.yes });
+    if (applied === 0) {
+      console.log(chalk.yellow("\n⚠️  No fix was applied — stopping the auto-fix loop."));
+      return false;
     }
+
+    console.log(`\n🔄 Rerunning from ${stage.name}...`);
   }
   return false;
 }
 
-/* ================= JSON REPAIR ================= */
-
-function cleanText(text) {
-  return text
-    .replace(/\u201C/g, '"')    // left curly quote → straight
-    .replace(/\u201D/g, '"')    // right curly quote → straight
-    .replace(/\u2018/g, "'")    // left single curly → straight
-    .replace(/\u2019/g, "'")    // right single curly → straight
-    .replace(/\u00A0/g, " ")    // non-breaking space → space
-    .replace(/,\s*}/g, "}")     // trailing comma before }
-    .replace(/,\s*]/g, "]");    // trailing comma before ]
+/* ================= AGENT MODE (TOOL CALLING) ================= */
+
+const AGENT_MAX_STEPS = 25;
+const TOOL_OUTPUT_LIMIT = 12000;
+
+const AGENT_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "read_file",
+      description: "Read a project file. Optionally limit to a 1-based inclusive line range.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Path relative to the project root" },
+          start_line: { type: "integer" },
+          end_line: { type: "integer" },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "list_dir",
+      description: "List the entries of a project directory. Directories end with '/'.",
+      parameters: {
+        type: "object",
+        properties: { path: { type: "string", description: "Directory relative to the project root (default '.')" } },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "grep",
+      description: "Search project files for a regular expression. Returns file:line: text matches.",
+      parameters: {
+        type: "object",
+        properties: {
+          pattern: { type: "string" },
+          path: { type: "string", description: "Only search under this directory" },
+        },
+        required: ["pattern"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "apply_edit",
+      description: "Edit a file with a search/replace block, or create/overwrite it with full content.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          search: { type: "string", description: "Exact code currently in the file" },
+          replace: { type: "string" },
+          content: { type: "string", description: "Full file content (create/overwrite)" },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "run_build",
+      description: "Run the project's verification pipeline (typecheck, lint, tests, build) and return the first failing stage's output.",
+      parameters: { type: "object", properties: {} },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "finish",
+      description: "Call when the task is complete.",
+      parameters: {
+        type: "object",
+        properties: { summary: { type: "string", description: "What was changed and why" } },
+        required: ["summary"],
+      },
+    },
+  },
+];
+
+const AGENT_SYSTEM_PROMPT = `
+You are DevAI — an Elite Senior Software Engineer working inside the user's project through tools.
+- Explore before editing: use list_dir, grep and read_file to fetch exactly the files you need.
+- Make changes with apply_edit. Prefer small search/replace edits; the "search" text must match the file exactly.
+- Use run_build to verify your changes when a build/test command exists.
+- Call finish with a short summary when the task is done.
+- Follow the project's existing tech stack and conventions.
+`;
+
+function clip(text) {
+  return text.length > TOOL_OUTPUT_LIMIT
+    ? text.slice(0, TOOL_OUTPUT_LIMIT) + `\n... (truncated, ${text.length - TOOL_OUTPUT_LIMIT} more chars)`
+    : text;
 }
 
-/* ================= GIT ROLLBACK SYSTEM ================= */
+/** Executes one agent tool call and returns its text result for the model. */
+function runAgentTool(projectDir, name, args, { dryRun = false } = {}) {
+  if (name === "read_file" || name === "list_dir" || name === "apply_edit") {
+    const resolved = resolveProjectPath(projectDir, args.path || ".");
+    if (!resolved) return `Error: path "${args.path}" is outside the project.`;
+    const { normalized, fullPath } = resolved;
+
+    if (name === "read_file") {
+      if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) return `Error: file not found: ${normalized}`;
+      const lines = redact(fs.readFileSync(fullPath, "utf8"), { filePath: normalized }).split("\n");
+      const start = Math.max(1, args.start_line || 1);
+      const end = Math.min(lines.length, args.end_line || lines.length);
+      const body = lines.slice(start - 1, end).map((l, i) => `${start + i}: ${l}`).join("\n");
+      return clip(`${normalized} (lines ${start}-${end} of ${lines.length})\n${body}`);
+    }
 
-function gitCheckpoint() {
-  try {
-    // 1. Check if git repo exists
-    execSync("git rev-parse --is-inside-work-tree", { stdio: "ignore" });
-  } catch {
-    return null; // Not a git repo
-  }
+    if (name === "list_dir") {
+      let entries;
+      try { entries = fs.readdirSync(fullPath, { withFileTypes: true }); } catch { return `Error: not a directory: ${normalized}`; }
+      const listing = entries
+        .filter(e => !SKIP_NAMES.has(e.name))
+        .map(e => e.isDirectory() ? `${e.name}/` : e.name)
+        .sort();
+      return clip(listing.join("\n") || "(empty directory)");
+    }
 
-  try {
-    // 2. Check if there are changes to stash
-    const status = execSync("git status --porcelain").toString().trim();
-    if (!status) return "clean"; // Nothing to backup, just a clean state
-
-    // 3. Create Backup: Stash everything (including untracked) but keep the index
-    // We use 'push' to save it, then 'apply' to bring it back to working dir
-    console.log(chalk.gray(" 💾 Creating safety checkpoint..."));
-    execSync('git stash push --include-untracked -m "DevAI_Auto_Checkpoint"');
-    execSync('git stash apply'); // Restore immediately so AI sees the code
-    return "stashed";
-  } catch (e) {
-    console.log(chalk.yellow("⚠️  Git checkpoint failed: " + e.message));
-    return null;
+    // apply_edit
+    if (typeof args.content === "string") {
+      if (dryRun) return `(dry run) ${normalized} would be written (${args.content.length} chars).`;
+      return patchFile(projectDir, args.path, args.content)
+        ? `Wrote ${normalized}.`
+        : `No change written to ${normalized}.`;
+    }
+    if (typeof args.search !== "string" || typeof args.replace !== "string") {
+      return "Error: apply_edit needs either 'content' or both 'search' and 'replace'.";
+    }
+    if (!fs.existsSync(fullPath)) return `Error: file not found: ${normalized}. Use 'content' to create it.`;
+    const current = fs.readFileSync(fullPath, "utf8");
+    if (fuzzyFindAndReplace(current, args.search, args.replace) === null) {
+      return `Error: search block not found in ${normalized}. Re-read the file and copy the exact text.`;
+    }
+    if (dryRun) return `(dry run) Edit to ${normalized} matched but was not written.`;
+    return patchFile(projectDir, args.path, null, [{ search: args.search, replace: args.replace }])
+      ? `Edit applied to ${normalized}.`
+      : `Edit to ${normalized} made no change.`;
   }
-}
 
-function gitRestore(checkpointType) {
-  try {
-    console.log(chalk.gray(" ↺ Rolling back changes..."));
-    // 1. Wipe all current changes (AI's changes)
-    execSync("git reset --hard HEAD", { stdio: "ignore" });
-    execSync("git clean -fd", { stdio: "ignore" }); // Remove new files created by AI
+  if (name === "grep") {
+    // Search the redacted text: matching raw content would let the model probe a secret character by character
+    const findings = new Map();
+    const matches = grepFiles(collectFiles(projectDir), args.pattern, {
+      under: args.path,
+      prepare: (content, filePath) => {
+        const found = [];
+        findings.set(filePath, found);
+        return redact(content, { filePath, findings: found });
+      },
+    });
+    for (const p of new Set(matches.map(m => m.path))) redactionFindings.push(...findings.get(p));
+    return matches.length ? clip(matches.map(m => `${m.path}:${m.line}: ${m.text.trim().slice(0, 200)}`).join("\n")) : "No matches.";
+  }
 
-    // 2. If we had a stash, restore it
-    if (checkpointType === "stashed") {
-      execSync("git stash pop", { stdio: "ignore" }); // Restore user's WIP
-    }
-    console.log(chalk.green(" ✅ Rollback complete."));
-  } catch (e) {
-    console.log(chalk.red("❌ Rollback failed: " + e.message));
-    console.log("   (You may need to manually run 'git stash pop')");
+  if (name === "run_build") {
+    const stages = verificationStages(projectDir);
+    if (stages.length === 0) return "No build/test command detected for this project.";
+    const failure = runPipeline(projectDir, stages, 0, { quiet: true });
+    if (!failure) return `PASSED: ${stages.map(s => `${s.name} (${s.run})`).join(", ")}`;
+    const passed = stages.slice(0, failure.index).map(s => s.name);
+    return clip(redact(
+      `FAILED at stage "${failure.stage.name}": ${failure.stage.run}${failure.timedOut ? ` (timed out after ${stageTimeout(failure.stage)}s)` : ""}\n` +
+      (passed.length ? `Passed before it: ${passed.join(", ")}\n` : "") +
+      failure.output.slice(0, 4000),
+      { source: "build output" }
+    ));
   }
+
+  return `Error: unknown tool "${name}".`;
 }
 
-function gitDiscard(checkpointType) {
-  if (checkpointType === "stashed") {
-    // We accepted the changes, so we drop the backup stash to keep the list clean
+/**
+ * Runs a task with native function calling: the model explores and edits the
+ * project through AGENT_TOOLS until it calls `finish` or hits the step limit.
+ * @returns {Promise<{ ok: boolean, applied: number, finished: boolean, stepLimit?: boolean }>} ok is
+ *   false on API errors and when the step limit (stepLimit) was reached before `finish`.
+ */
+async function runAgent(projectDir, messages, task, { maxSteps = AGENT_MAX_STEPS, autoAccept = false, dryRun = false } = {}) {
+  const files = collectFiles(projectDir);
+  const tree = files.map(f => `  ${f.path} (${f.lines} lines)`).join("\n");
+  const agentMessages = [
+    { role: "system", content: AGENT_SYSTEM_PROMPT + rulesSection() },
+    { role: "user", content: `Task: ${task}\n\nProject: ${detectProjectType(projectDir)}\n📁 File Tree (${files.length} files):\n${tree || "  (empty project)"}` },
+  ];
+
+  if (!dryRun) beginTurn(projectDir, `[agent] ${task}`);
+  let applied = 0, finished = false, summary = "";
+
+  console.log(`\n🤖 Agent mode (max ${maxSteps} steps)`);
+  for (let step = 1; step <= maxSteps && !finished; step++) {
+    let message;
     try {
-      execSync("git stash drop", { stdio: "ignore" });
-    } catch {}
-  }
-}
+      const response = await callModel(agentMessages, (client, model) => client.chat.completions.create({
+        model: model.id,
+        messages: agentMessages,
+        tools: AGENT_TOOLS,
+        tool_choice: "auto",
+        temperature: model.temperature,
+        top_p: model.topP,
+        max_tokens: model.maxTokens,
+        ...model.extraParams
+      }));
+      message = response.choices?.[0]?.message;
+      trackUsage(countMessageTokens(agentMessages), countTokens(JSON.stringify(message ?? "")), response.usage);
+    } catch (e) {
+      console.log(`\n❌ AI API error: ${e.message}`);
+      if (e.status === 400) console.log("   This model/endpoint may not support tool calling.");
+      return { ok: false, applied, finished };
+    }
 
-// Helper to recover truncated JSON (e.g. if max_tokens hit)
-function recoverTruncatedJSON(text) {
-  // 1. Find the "files" array
-  const filesMatch = text.match(/"files"\s*:\s*\[/);
-  if (!filesMatch) return null;
-  
-  const startIndex = filesMatch.index + filesMatch[0].length;
-  let nesting = 0;
-  let lastCompleteObjIndex = -1;
-  let inString = false;
-  let escape = false;
-
-  for (let i = startIndex; i < text.length; i++) {
-    const char = text[i];
-    
-    if (escape) {
-      escape = false;
+    if (!message) {
+      console.log("\n⚠️  AI returned empty response.");
+      return { ok: false, applied, finished };
+    }
+    agentMessages.push(message);
+
+    // A plain reply with no tool calls means the model considers itself done
+    if (!message.tool_calls?.length) {
+      summary = message.content || "";
+      finished = true;
+      break;
+    }
+
+    for (const call of message.tool_calls) {
+      const name = call.function?.name;
+      let args = {};
+      try { args = JSON.parse(call.function?.arguments || "{}"); } catch {}
+
+      let result;
+      if (name === "finish") {
+        summary = args.summary || "";
+        finished = true;
+        result = "Task marked as finished.";
+      } else {
+        console.log(chalk.gray(`  [${step}/${maxSteps}] ${name} ${args.path || args.pattern || ""}`.trimEnd()));
+        result = runAgentTool(projectDir, name, args, { dryRun });
+        if (name === "apply_edit" && /^(Wrote|Edit applied)/.test(result)) applied++;
+      }
+      agentMessages.push({ role: "tool", tool_call_id: call.id, content: result });
+    }
+    reportRedactions();
+  }
+
+  if (!finished) console.log(chalk.yellow(`\n⚠️  Step limit (${maxSteps}) reached before the agent finished.`));
+  if (summary) console.log(`\n🧠 Summary:\n${summary}`);
+
+  // Keep a compact record of the task in the main conversation
+  messages.push({ role: "user", content: `[agent] ${task}` });
+  messages.push({ role: "assistant", content: summary || "(agent stopped without a summary)" });
+
+  const entry = endTurn();
+  if (entry) {
+    const userAction = autoAccept ? "y" : await ask(chalk.yellow("\n👀 Review changes. Keep them? (y/undo): "));
+    if (userAction.toLowerCase() === "undo" || userAction.toLowerCase() === "n") {
+      undoTurns(projectDir, 1);
+      messages.pop();
+      messages.pop();
+      console.log(chalk.gray("   (Memory rewound)"));
+      applied = 0;
+    } else {
+      console.log(chalk.green("   ✓ Changes accepted."));
+    }
+  }
+
+  // Stopping at the step limit is not success, whatever was written on the way
+  return { ok: finished, applied, finished, stepLimit: !finished };
+}
+
+/* ================= JSON REPAIR ================= */
+
+function cleanText(text) {
+  return text
+    .replace(/\u201C/g, '"')    // left curly quote → straight
+    .replace(/\u201D/g, '"')    // right curly quote → straight
+    .replace(/\u2018/g, "'")    // left single curly → straight
+    .replace(/\u2019/g, "'")    // right single curly → straight
+    .replace(/\u00A0/g, " ")    // non-breaking space → space
+    .replace(/,\s*}/g, "}")     // trailing comma before }
+    .replace(/,\s*]/g, "]");    // trailing comma before ]
+}
+
+/* ================= UNDO HISTORY ================= */
+
+let activeCheckpoint = null;  // Set while a turn writes files; patchFile records into it
+
+function beginTurn(projectDir, label) {
+  activeCheckpoint = beginCheckpoint(projectDir, label);
+}
+
+/**
+ * Closes the current turn's checkpoint.
+ * @returns {object|null} The history entry, or null if no file changed.
+ */
+function endTurn() {
+  if (!activeCheckpoint) return null;
+  let entry = null;
+  try {
+    entry = commitCheckpoint(activeCheckpoint);
+  } catch (e) {
+    console.log(chalk.yellow("⚠️  Could not save checkpoint: " + e.message));
+  }
+  activeCheckpoint = null;
+  if (entry) console.log(chalk.gray(` 💾 Checkpoint saved (${entry.files.length} file(s)) — /undo to revert`));
+  if (entry && session) noteFilesTouched(entry.files.map(f => f.path));
+  return entry;
+}
+
+function printRestore({ entry, restored, conflicts }, verb) {
+  console.log(chalk.green(` ↺ ${verb}: "${entry.label}" (${restored.length} file(s))`));
+  restored.forEach(f => console.log(chalk.gray(`    ${f}`)));
+  conflicts.forEach(f => console.log(chalk.yellow(`    ⚠️  Skipped ${f} (edited since that turn)`)));
+}
+
+function undoTurns(projectDir, n = 1) {
+  const results = undo(projectDir, n);
+  if (results.length === 0) console.log(chalk.gray(" Nothing to undo."));
+  results.forEach(r => printRestore(r, "Undone"));
+  return results;
+}
+
+function redoTurn(projectDir) {
+  const result = redo(projectDir);
+  if (!result) console.log(chalk.gray(" Nothing to redo."));
+  else printRestore(result, "Redone");
+  return result;
+}
+
+function showHistory(projectDir) {
+  const { entries, pointer } = loadHistory(projectDir);
+  if (entries.length === 0) {
+    console.log(chalk.gray("\n No checkpoints yet.\n"));
+    return;
+  }
+  console.log(`\n🕘 History (newest first, ${pointer}/${entries.length} applied):`);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const e = entries[i];
+    const when = new Date(e.time).toLocaleString();
+    const line = `  #${i + 1}  ${when}  ${e.label}  (${e.files.map(f => f.path).join(", ")})`;
+    console.log(i < pointer ? line : chalk.gray(line + "  [undone]"));
+  }
+  console.log();
+}
+
+/* ================= STAGED REVIEW ================= */
+
+// Rejected (review) or failed (diff hunks) changes, reported to the model next turn
+let pendingFeedback = [];
+
+/**
+ * Asks before any file is deleted. Declined deletes are dropped from the list
+ * and reported to the model next turn.
+ * @param {object[]} files - A response's `files` array.
+ * @returns {Promise<object[]>} The entries to apply.
+ */
+async function confirmDeletes(files, { autoAccept = false } = {}) {
+  const deletes = files.filter(f => f?.action === "delete" && f.path);
+  if (deletes.length === 0 || autoAccept) return files;
+
+  console.log(chalk.red(`\n🗑  The AI wants to delete ${deletes.length} file(s):`));
+  deletes.forEach(f => console.log(chalk.red(`    ${f.path}`)));
+  const answer = (await ask(chalk.yellow("   Delete them? (y/n): "))).toLowerCase();
+  if (answer === "y" || answer === "yes") return files;
+
+  deletes.forEach(f => pendingFeedback.push({ path: f.path, kind: "rejected", detail: "whole file" }));
+  console.log(chalk.gray("   Skipping the deletes."));
+  return files.filter(f => !deletes.includes(f));
+}
+
+async function reviewHunks(change, hunks) {
+  const replacements = [];
+  for (let i = 0; i < hunks.length; i++) {
+    console.log(`\n${renderHunk(hunks[i])}`);
+    const choice = (await ask(`  Hunk ${i + 1}/${hunks.length}: (y)es / (n)o / (e)dit: `)).toLowerCase();
+    if (choice === "n") {
+      replacements.push(null);
+      pendingFeedback.push({ path: change.normalized, kind: "rejected", detail: hunkText(hunks[i]) });
+    } else if (choice === "e") {
+      const edited = editText(hunkNewLines(hunks[i]).join("\n"), change.normalized);
+      if (edited === null) console.log(chalk.yellow("  ⚠️  Editor failed, keeping the proposed hunk."));
+      replacements.push(edited === null ? hunkNewLines(hunks[i]) : edited.replace(/\n$/, "").split("\n"));
+    } else {
+      replacements.push(hunkNewLines(hunks[i]));
+    }
+  }
+  return replacements;
+}
+
+/**
+ * Shows each proposed change as a colored diff and asks what to keep.
+ * @param {ReturnType<typeof computeChange>[]} changes
+ * @returns {Promise<object[]>} The changes to write, possibly with edited content.
+ */
+async function reviewChanges(changes) {
+  const approved = [];
+  let acceptRest = false;
+
+  for (const change of changes) {
+    if (change.before === change.after && change.mode !== "move") continue;
+    if (acceptRest) {
+      approved.push(change);
       continue;
     }
-    
-    if (char === '\\') {
-      escape = true;
+
+    // Deletes and moves are all-or-nothing
+    if (change.mode === "delete" || change.mode === "move") {
+      const header = change.mode === "delete"
+        ? chalk.red(`delete ${change.normalized} (${change.before.split("\n").length} lines)`)
+        : chalk.yellow(`${change.normalized} → ${change.target.normalized}`);
+      console.log(chalk.bold(`\n━━ ${header} ━━`));
+      if (change.mode === "move" && change.after !== change.before) {
+        fileHunks(change.target.normalized, change.before, change.after).forEach(h => console.log(renderHunk(h)));
+      }
+      const choice = (await ask(`\nApply? (y)es / (n)o / (a)ll remaining: `)).toLowerCase();
+      if (choice === "n") {
+        pendingFeedback.push({ path: change.normalized, kind: "rejected", detail: "whole file" });
+      } else {
+        if (choice === "a") acceptRest = true;
+        approved.push(change);
+      }
       continue;
     }
-    
-    if (char === '"') {
-      inString = !inString;
+
+    const before = change.before ?? "";
+    const hunks = fileHunks(change.normalized, before, change.after);
+    const label = change.before === null ? "new file" : `${hunks.length} hunk(s)`;
+    console.log(chalk.bold(`\n━━ ${change.normalized} (${label}) ━━`));
+    hunks.forEach(h => console.log(renderHunk(h)));
+
+    const choice = (await ask(`\nApply ${change.normalized}? (y)es / (n)o / (h)unk by hunk / (e)dit / (a)ll remaining: `)).toLowerCase();
+    if (choice === "n") {
+      pendingFeedback.push({ path: change.normalized, kind: "rejected", detail: "whole file" });
+    } else if (choice === "h") {
+      const replacements = await reviewHunks(change, hunks);
+      if (replacements.some(r => r !== null)) approved.push({ ...change, after: applyHunks(before, hunks, replacements) });
+    } else if (choice === "e") {
+      const edited = editText(change.after, change.normalized);
+      if (edited === null) console.log(chalk.yellow("  ⚠️  Editor failed, keeping the proposed content."));
+      approved.push({ ...change, after: edited ?? change.after });
+    } else {
+      if (choice === "a") acceptRest = true;
+      approved.push(change);
+    }
+  }
+  return approved;
+}
+
+/** Builds the note telling the model which of its changes were not applied last turn. */
+function takeFeedbackNote() {
+  if (pendingFeedback.length === 0) return "";
+  const lines = pendingFeedback.map(r => {
+    const what = r.kind === "rejected" ? "rejected during review" : `failed to apply: ${r.reason}`;
+    return r.detail === "whole file" ? `- ${r.path}: whole change ${what}` : `- ${r.path}, hunk ${what}:\n${r.detail}`;
+  });
+  pendingFeedback = [];
+  return `NOTE: These parts of your previous changes were NOT applied. Do not assume they exist; re-send fixed versions only if still needed:\n${lines.join("\n")}\n\n`;
+}
+
+/**
+ * Salvages the complete entries of a "files" array from a response that was
+ * cut off (e.g. by max_tokens).
+ * @returns {{ files: object[], cutOff: string|null, closed: boolean }|null}
+ *   cutOff is the path of the entry that was cut off (if it got that far);
+ *   closed is true when the array itself was complete. null without a "files" array.
+ */
+function recoverTruncatedJSON(text) {
+  const filesMatch = text.match(/"files"\s*:\s*\[/);
+  if (!filesMatch) return null;
+
+  const files = [];
+  let depth = 0, objStart = -1, inString = false, escape = false;
+  for (let i = filesMatch.index + filesMatch[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (escape) { escape = false; continue; }
+    if (inString) {
+      if (char === "\\") escape = true;
+      else if (char === '"') inString = false;
       continue;
     }
-    
-    if (!inString) {
-      if (char === '{') {
-        nesting++;
-      } else if (char === '}') {
-        nesting--;
-        // If we just closed a file object (nesting went 1 -> 0 assumed relative to array start? 
-        // Actually, inside array, objects are at nesting 1?
-        // Let's track absolute nesting. 
-        // We start inside "files": [ ... <- nesting is unknown relative to root, but we can track relative.
+    if (char === '"') inString = true;
+    else if (char === "{" || char === "[") {
+      if (depth === 0) objStart = i;
+      depth++;
+    } else if (char === "}" || char === "]") {
+      if (depth === 0) return { files, cutOff: null, closed: true }; // End of the files array
+      depth--;
+      if (depth === 0) {
+        try { files.push(JSON.parse(cleanText(text.slice(objStart, i + 1)))); } catch {}
+        objStart = -1;
       }
     }
   }
-  
-  // Complexity of bracket tracking is high.
-  // SIMPLER HEURISTIC: Find last occurrence of "}," which signifies end of a file object,
-  // followed by a "path" or end of array.
-  
-  // Look for pattern:  }, \n\s* { "path"
-  // Or just find the last "}," and cut there.
-  
-  const lastClosing = text.lastIndexOf("},"); // Finds last strict object end
-  const lastClosingBracket = text.lastIndexOf("}"); // Finds very last bracket (maybe partial)
-
-  // If text ends abruptly, we might have ... "conte
-  
-  // Try to find the last occurrence of `    },` or `  },` which usually ends a file block in pretty-print
-  // Regex for object end: /\}\s*,\s*\{/
-  // We want to slice up to the last successful "}," and add "] }".
-  
-  // Let's try progressively cutting from the end until it parses.
-  // Limit attempts to avoid infinite loop.
-  
-  let buffer = text;
-  // Try adding closing chars
-  try { return JSON.parse(buffer + "]}"); } catch {}
-  try { return JSON.parse(buffer + "\"]}]}"); } catch {} // Close string, obj, array, root
-  return null; 
+  const partial = objStart === -1 ? "" : text.slice(objStart);
+  return { files, cutOff: partial.match(/"path"\s*:\s*"([^"]+)"/)?.[1] || (partial ? "(unnamed entry)" : null), closed: false };
 }
 
 // STRONGER RECOVERY: Regex Extraction
@@ -570,11 +1717,18 @@ function extractFilesRegex(text) {
     while ((match = pathRegex.exec(text)) !== null) {
          // for each path, try to find the content
          const path = match[1];
-         // Find 'content': starting after this path
-         const contentStartSearch = text.indexOf('"content"', match.index);
-         if (contentStartSearch === -1) continue;
+         // Only look inside this entry: stop at the next "path" key
+         const afterPath = match.index + match[0].length;
+         const nextPath = text.slice(afterPath).search(/"path"\s*:/);
+         const entryEnd = nextPath === -1 ? text.length : afterPath + nextPath;
+
+         // Find 'diff' (patch entries) or 'content': starting after this path
+         const diffKey = text.indexOf('"diff"', match.index);
+         const isPatch = diffKey !== -1 && diffKey < entryEnd;
+         const contentStartSearch = isPatch ? diffKey : text.indexOf('"content"', match.index);
+         if (contentStartSearch === -1 || contentStartSearch >= entryEnd) continue;
          
-         const contentValueStart = text.indexOf('"', contentStartSearch + 9) + 1;
+         const contentValueStart = text.indexOf('"', contentStartSearch + (isPatch ? 6 : 9)) + 1;
          // Now read until unescaped quote
          let content = "";
          let p = contentValueStart;
@@ -597,10 +1751,13 @@ function extractFilesRegex(text) {
              p++;
          }
          
+         // No closing quote: the response was cut off inside this file
+         if (p >= text.length) continue;
+
          // Unescape the content
          try {
             const unescaped = JSON.parse(`"${content}"`);
-            files.push({ path, action: "create", content: unescaped });
+            files.push(isPatch ? { path, action: "patch", diff: unescaped } : { path, action: "create", content: unescaped });
          } catch(e) {
             // failed to parse content, maybe truncated
          }
@@ -637,7 +1794,16 @@ function parseJSON(text) {
     }
   } catch {}
 
-  // Attempt 5: Recover from Truncation (Regex Extraction)
+  // Attempt 5: Recover from truncation: keep the complete file entries
+  try {
+    const recovered = recoverTruncatedJSON(text);
+    if (recovered && !recovered.closed && recovered.files.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Response was cut off — recovered ${recovered.files.length} complete file(s)${recovered.cutOff ? `, dropped the incomplete ${recovered.cutOff}` : ""}.`));
+      return { files: recovered.files };
+    }
+  } catch {}
+
+  // Attempt 6: Regex extraction
   try {
       // Only try recovery if other methods failed and we suspect truncation (large or partial)
       // Actually, just try it.
@@ -651,38 +1817,292 @@ function parseJSON(text) {
   return null;
 }
 
-/* ================= MODEL SELECTION ================= */
+/* ================= USAGE & BUDGET ================= */
 
-console.log("\n🚀 Advanced DevAI — Autonomous Software Engineer\n");
-console.log("Select a model:");
+let usageConfig = usagePolicy(); // "usage": { "budget", "onExceed", "warnAt" } in devai.config.json
+let turnUsage = null;            // Totals of the turn in progress, see metered()
+let budgetWarned = "ok";         // Budget level already reported for this session
+
+/** Warns once as the session nears its budget and once when it passes it. */
+function noteBudget() {
+  const { level, message } = checkBudget(session.tokens, usageConfig);
+  if (level !== "ok" && level !== budgetWarned) {
+    budgetWarned = level;
+    const blocking = level === "over" && usageConfig.onExceed === "block";
+    console.log(chalk.yellow(`\n💸 Session budget ${level === "over" ? "exceeded" : "almost used"}: ${message}${blocking ? " — further requests are blocked" : ""}`));
+  }
+  return level;
+}
 
-const availableModels = listModels();
-availableModels.forEach((m, i) => {
-  console.log(`  ${i + 1}. ${m.name} (${m.description})`);
-});
+/** Called before every model request; with `"onExceed": "block"`, throws once the budget is used up. */
+function enforceBudget() {
+  if (!session) return;
+  if (noteBudget() === "over" && usageConfig.onExceed === "block") {
+    throw new Error(`Session budget reached (${checkBudget(session.tokens, usageConfig).message}). Raise "usage.budget" in ${CONFIG_FILE} or start a new session (/session new).`);
+  }
+}
 
-const modelChoice = await ask(`\nSelect (1-${availableModels.length}): `);
-const choiceIndex = parseInt(modelChoice, 10) - 1;
+/** Runs one turn (a request, /agent or /build) and prints its usage next to the session total. */
+async function metered(fn) {
+  turnUsage = emptyUsage();
+  try {
+    return await fn();
+  } finally {
+    if (turnUsage.requests > 0) {
+      console.log(chalk.gray(`📈 Turn: ${formatUsage(turnUsage)} (${turnUsage.requests} request(s)) · session: ${formatUsage(session.tokens)}`));
+      noteBudget();
+    }
+    turnUsage = null;
+    restoreChosenModel();
+  }
+}
 
-if (choiceIndex < 0 || choiceIndex >= availableModels.length) {
-  console.log("⚠️  Invalid choice, defaulting to model 1.");
+function showUsage() {
+  const t = session.tokens;
+  console.log(`\n📈 Session "${session.name}": ${formatUsage(t)} over ${t.requests} request(s)`);
+  const byModel = Object.entries(t.byModel || {});
+  if (byModel.length > 1) {
+    const width = Math.max(...byModel.map(([key]) => key.length));
+    for (const [key, u] of byModel) console.log(chalk.gray(`   ${key.padEnd(width)}  ${formatUsage(u)} (${u.requests})`));
+  }
+  if (t.estimated > 0) console.log(chalk.gray(`   ~ ${t.estimated} request(s) estimated — the endpoint did not report usage`));
+
+  const p = modelConfig.pricing;
+  console.log(p
+    ? `   Pricing (${modelConfig.name}): ${formatCost(p.input || 0)} in / ${formatCost(p.output || 0)} out per 1M tokens`
+    : chalk.gray(`   No pricing for ${modelConfig.key} — add "pricing": { "input", "output" } (USD per 1M tokens) to it in ${CONFIG_FILE}`));
+
+  const { level, message } = checkBudget(t, usageConfig);
+  if (message) console.log(`   Budget: ${message}${level === "over" ? ` — ${usageConfig.onExceed === "block" ? "requests are blocked" : "exceeded"}` : ""}`);
+  console.log();
 }
 
-const selectedKey = availableModels[choiceIndex]?.key || availableModels[0].key;
+/* ================= RETRY & FALLBACK ================= */
 
-let modelConfig, client;
+function reportRetry({ label, delay, retryAfter, n, max }) {
+  const wait = `${delay < 10 ? delay.toFixed(1) : Math.round(delay)}s${retryAfter ? " (Retry-After)" : ""}`;
+  console.log(chalk.yellow(`\n⏳ ${modelConfig.name}: ${label} — retrying in ${wait} (${n}/${max})...`));
+}
+
+/** Makes `next` the active model until the turn ends (see restoreChosenModel). */
+function switchModel(next) {
+  modelConfig = next;
+  client = createClient(next, clientOptions());
+}
+
+/** After a turn that fell back, goes back to the model the user picked. */
+function restoreChosenModel() {
+  if (modelConfig === chosen.modelConfig) return;
+  console.log(chalk.gray(`↩ Back to ${chosen.modelConfig.name} for the next request`));
+  ({ modelConfig, client } = chosen);
+}
+
+/**
+ * Runs one model call under the retry policy. When the model is still
+ * unavailable after its retries, the call moves to the next model in the
+ * registry's fallback chain; the rest of the turn (continuations,
+ * corrections) stays on that model.
+ * @template T
+ * @param {object[]} messages - What `call` sends; if any carries an image, only multimodal models are fallbacks.
+ * @param {(client: object, model: object) => Promise<T>} call - Must use the client/model it is given.
+ * @returns {Promise<T>} Rejects with the last error once the chain is exhausted.
+ */
+async function callModel(messages, call) {
+  enforceBudget();
+  const images = messages.some(m => Array.isArray(m.content) && m.content.some(p => p.type === "image_url"));
+  const tried = new Set();
+  for (;;) {
+    tried.add(modelConfig.key);
+    try {
+      return await withRetry(() => call(client, modelConfig), retryConfig, { onRetry: reportRetry });
+    } catch (e) {
+      const { label, fallback } = classifyError(e);
+      const next = fallback && fallbackChain(modelConfig.key, { projectDir }).find(m => !tried.has(m.key) && (!images || m.isMultimodal));
+      if (!next) throw e;
+      console.log(chalk.yellow(`\n🔀 ${modelConfig.name} unavailable: ${label} — switching to ${next.name} (${next.key})`));
+      switchModel(next);
+    }
+  }
+}
+
+/* ================= STREAMING & CONTINUATION ================= */
+
+/**
+ * Streams one completion.
+ * @returns {Promise<{ text: string, finishReason: string|null, usage: object|null }>} finishReason "length" means
+ *   it was cut off; usage is the API's token count, when the endpoint reports one.
+ */
+function streamCompletion(requestMessages) {
+  return callModel(requestMessages, async (client, model) => {
+    const stream = await createStream(client, model, {
+      model: model.id,
+      messages: requestMessages,
+      temperature: model.temperature,
+      top_p: model.topP,
+      max_tokens: model.maxTokens,
+      ...model.extraParams
+    });
+    let text = "", finishReason = null, usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) text += delta;
+      finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+      usage = chunk.usage || usage;
+    }
+    return { text, finishReason, usage };
+  });
+}
+
+const MAX_CONTINUATIONS = 4; // Follow-up requests for one cut-off response
+
+const CONTINUE_PROMPT = "Your response was cut off by the output token limit. Continue EXACTLY where it stopped: " +
+  "output only the remaining characters (even if that starts in the middle of a string). " +
+  "Do not repeat anything, do not restart the JSON, no code fences, no commentary.";
+
+/** Joins a continuation onto the text before it, dropping fences and any repeated overlap. */
+function stitchContinuation(text, part) {
+  let next = part.replace(/^\s*```(?:json)?[ \t]*\n/, "");
+  if (/```\s*$/.test(next) && !text.includes("```")) next = next.replace(/\n?```\s*$/, "");
+  for (let k = Math.min(300, text.length, next.length); k >= 12; k--) {
+    if (text.endsWith(next.slice(0, k))) return text + next.slice(k);
+  }
+  return text + next;
+}
+
+/**
+ * Completes a reply that stopped at max_tokens (finish_reason "length") by
+ * asking the model to continue, up to MAX_CONTINUATIONS times, and reports
+ * which files were finished that way.
+ * @param {object[]} requestMessages - The request that produced `text`.
+ * @param {string} text
+ * @param {string|null} finishReason
+ * @returns {Promise<string>} The stitched reply.
+ */
+async function continueTruncated(requestMessages, text, finishReason) {
+  if (finishReason !== "length" || !text) return text;
+  const completeBefore = recoverTruncatedJSON(text)?.files.length ?? 0;
+
+  let rounds = 0;
+  while (finishReason === "length" && rounds < MAX_CONTINUATIONS) {
+    rounds++;
+    process.stdout.write(chalk.yellow(`\n✂️  Response hit the output limit (${formatTokens(countTokens(text))} tokens) — asking the AI to continue (${rounds}/${MAX_CONTINUATIONS})...`));
+    const conversation = [...requestMessages, { role: "assistant", content: text }, { role: "user", content: CONTINUE_PROMPT }];
+    let result;
+    try {
+      result = await streamCompletion(conversation);
+    } catch (e) {
+      console.log(chalk.red(` ❌ ${e.message}`));
+      break;
+    }
+    trackUsage(countMessageTokens(conversation), countTokens(result.text), result.usage);
+    if (!result.text.trim()) {
+      console.log(" (empty reply)");
+      break;
+    }
+    text = stitchContinuation(text, result.text);
+    finishReason = result.finishReason;
+    console.log(" ✓");
+  }
+
+  if (finishReason === "length") {
+    console.log(chalk.yellow(`⚠️  Still cut off after ${rounds} continuation(s) — incomplete files will be dropped.`));
+  }
+  const after = recoverTruncatedJSON(text);
+  const finished = (after?.files || []).slice(completeBefore).map(f => f?.path).filter(Boolean);
+  if (finished.length > 0) console.log(chalk.green(`↪ Completed via continuation: ${finished.join(", ")}`));
+  return text;
+}
+
+/* ================= RESPONSE VALIDATION ================= */
+
+/** Parses a reply and lists its schema violations (unparseable JSON is one violation). */
+function checkReply(reply) {
+  let text = reply;
+  // Skip explanation text before the JSON
+  if (!text.trim().startsWith("{")) {
+    const jsonStart = text.indexOf("{");
+    if (jsonStart !== -1) text = text.slice(jsonStart);
+  }
+  const parsed = parseJSON(text);
+  if (!parsed) {
+    let reason = "no JSON object found";
+    try { JSON.parse(cleanText(text)); } catch (e) { if (text.includes("{")) reason = e.message; }
+    return { parsed: null, problems: [`response is not valid JSON (${reason})`] };
+  }
+  return { parsed, problems: validateResponse(parsed) };
+}
+
+function summarizeProblems(problems, max = 3) {
+  return problems.slice(0, max).join("; ") + (problems.length > max ? `; … ${problems.length - max} more` : "");
+}
+
+/**
+ * Parses and validates a reply. While it breaks the response schema, the
+ * model is sent the exact violations and asked for a corrected response,
+ * up to `repairAttempts` times.
+ * @param {object[]} requestMessages - The request that produced `reply`.
+ * @param {string} reply
+ * @returns {Promise<{ reply: string, parsed: object|null, problems: string[] }>} The final reply and what is still wrong with it.
+ */
+async function parseValidReply(requestMessages, reply) {
+  let { parsed, problems } = checkReply(reply);
+  const conversation = [...requestMessages];
+
+  for (let round = 1; problems.length > 0 && round <= repairAttempts; round++) {
+    console.log(chalk.yellow(`\n⚠️  Response has ${problems.length} format problem(s): ${summarizeProblems(problems)}`));
+    process.stdout.write(`🔧 Asking the AI to correct it (${round}/${repairAttempts})...`);
+    conversation.push(
+      { role: "assistant", content: reply },
+      {
+        role: "user",
+        content: `Your previous response does not match the required JSON format. Problems:\n${problems.map(p => `- ${p}`).join("\n")}\n\n` +
+          "Reply with the complete corrected JSON response (every entry, not only the fixed ones) and nothing else.",
+      }
+    );
+
+    let corrected = "", finishReason = null, usage = null;
+    try {
+      ({ text: corrected, finishReason, usage } = await streamCompletion(conversation));
+    } catch (e) {
+      console.log(chalk.red(` ❌ ${e.message}`));
+      break;
+    }
+    trackUsage(countMessageTokens(conversation), countTokens(corrected), usage);
+    corrected = await continueTruncated(conversation, corrected, finishReason);
+    if (!corrected.trim()) {
+      console.log(" (empty reply)");
+      break;
+    }
+    reply = corrected;
+    ({ parsed, problems } = checkReply(reply));
+    console.log(problems.length === 0 ? chalk.green(" ✓ valid") : ` ${problems.length} problem(s) left`);
+  }
+  return { reply, parsed, problems };
+}
+
+/* ================= STARTUP ================= */
+
+let cli;
 try {
-  modelConfig = getModel(selectedKey);
-  client = createClient(modelConfig.apiKey);
+  cli = parseCliArgs(process.argv.slice(2));
 } catch (e) {
-  console.error(`\n❌ ${e.message}`);
-  console.error("   Make sure your .env file exists and has the correct API keys.");
-  process.exit(1);
+  console.error(`❌ ${e.message}`);
+  console.error(USAGE);
+  process.exit(EXIT.ERROR);
+}
+if (cli.help) {
+  console.log(USAGE);
+  process.exit(EXIT.OK);
 }
 
+// Headless: a prompt was given on the command line or piped in
+const headless = cli.prompt !== undefined || !process.stdin.isTTY;
+
+console.log("\n🚀 Advanced DevAI — Autonomous Software Engineer\n");
+
 /* ================= PROJECT FOLDER ================= */
 
-const projectName = await ask("Project folder name (or '.' for current dir): ");
+const projectName = cli.project ?? (headless ? "." : await ask("Project folder name (or '.' for current dir): "));
 let projectDir;
 
 if (projectName === "." || projectName === "") {
@@ -697,30 +2117,151 @@ if (projectName === "." || projectName === "") {
   }
 }
 
-/* ================= MEMORY ================= */
-
-const memoryPath = path.join(projectDir, MEMORY_FILE);
-let messages = [];
+/* ================= MODEL SELECTION ================= */
 
-// Load memory safely
+// Project and home devai.config.json can add providers/models to the list
+let availableModels;
 try {
-  if (fs.existsSync(memoryPath)) {
-    const raw = fs.readFileSync(memoryPath, "utf8");
-    const loaded = JSON.parse(raw);
-    if (Array.isArray(loaded) && loaded.length > 0) {
-      messages = loaded;
-    } else {
-      throw new Error("Invalid memory format");
-    }
+  availableModels = listModels({ projectDir });
+} catch (e) {
+  console.error(`\n❌ ${e.message}`);
+  process.exit(EXIT.ERROR);
+}
+
+let selectedKey;
+if (cli.model) {
+  // Accept either a model key or its number in the list
+  const byIndex = availableModels[parseInt(cli.model, 10) - 1];
+  selectedKey = availableModels.find(m => m.key === cli.model)?.key || (/^\d+$/.test(cli.model) && byIndex?.key);
+  if (!selectedKey) {
+    console.error(`❌ Unknown model: ${cli.model}`);
+    console.error(`   Available: ${availableModels.map(m => m.key).join(", ")}`);
+    process.exit(EXIT.ERROR);
   }
+} else if (headless) {
+  selectedKey = availableModels[0].key;
+} else {
+  console.log("Select a model:");
+  availableModels.forEach((m, i) => {
+    console.log(`  ${i + 1}. ${m.name} (${m.description})`);
+  });
+
+  const modelChoice = await ask(`\nSelect (1-${availableModels.length}): `);
+  const choiceIndex = parseInt(modelChoice, 10) - 1;
+
+  if (choiceIndex < 0 || choiceIndex >= availableModels.length) {
+    console.log("⚠️  Invalid choice, defaulting to model 1.");
+  }
+
+  selectedKey = availableModels[choiceIndex]?.key || availableModels[0].key;
+}
+
+try {
+  const { config } = loadUserConfig(projectDir);
+  retryConfig = retryPolicy(config.retry);
+  usageConfig = usagePolicy(config.usage);
 } catch (e) {
-  console.log("⚠️  Memory file was corrupted, starting fresh.");
+  console.error(`\n❌ Invalid ${CONFIG_FILE}: ${e.message}`);
+  process.exit(EXIT.ERROR);
+}
+
+// Retries are ours (lib/retry.js), not the SDK's, so each error kind gets its own budget
+const clientOptions = () => ({ maxRetries: 0, timeout: retryConfig.requestTimeout * 1000 });
+
+let modelConfig, client;
+let chosen; // The user's model; fallbacks only last for a turn
+try {
+  modelConfig = getModel(selectedKey, { projectDir });
+  client = createClient(modelConfig, clientOptions());
+  chosen = { modelConfig, client };
+} catch (e) {
+  console.error(`\n❌ ${e.message}`);
+  console.error("   Make sure your .env file exists and has the correct API keys.");
+  process.exit(EXIT.ERROR);
+}
+
+try {
+  const { config } = loadUserConfig(projectDir);
+  redaction = { ...redaction, ...config.redaction };
+  if (["strict", "best-effort"].includes(config.apply?.mode)) applyMode = config.apply.mode;
+  if (Number.isInteger(config.apply?.repairAttempts) && config.apply.repairAttempts >= 0) repairAttempts = config.apply.repairAttempts;
+  memoryConfig = { ...memoryConfig, ...config.memory };
+  verifyConfig = config.verify || {};
+  commandConfig = config.commands || {};
+} catch {}
+
+/* ================= PROJECT RULES ================= */
+
+// Built-in sections that DEVAI.md can switch off with `styleHint: false`
+const STYLE_SECTIONS = [
+  /\n=+ 1\. TECH STACK STRATEGY =+\n[\s\S]*?(?=\n=+ 2\.)/,
+  /\n=+ 4\. DESIGN STANDARDS =+\n[\s\S]*?(?=\n=+ 5\.)/,
+];
+
+let rules = { sources: [], options: {} };
+
+function reloadRules() {
+  try {
+    rules = loadRules(projectDir);
+  } catch (e) {
+    rules = { sources: [], options: {} };
+    console.log(`⚠️  Could not read ${RULES_FILE}: ${e.message}`);
+  }
+}
+
+function styleHintEnabled() {
+  return rules.options.styleHint !== false;
+}
+
+function describeRuleSource(s) {
+  return s.scope === "project" ? RULES_FILE : s.file.replace(os.homedir(), "~");
+}
+
+/** The rules as a system prompt section ("" without DEVAI.md). */
+function rulesSection() {
+  const bodies = rules.sources.filter(s => s.body);
+  if (bodies.length === 0) return "";
+  return "\n\n==================== PROJECT RULES (DEVAI.md — these override the defaults above) ====================\n" +
+    bodies.map(s => `# From ${s.scope === "project" ? "the project" : "the user's global"} ${RULES_FILE}\n${s.body}`).join("\n\n");
+}
+
+/** A stored system prompt with the current rules applied (before the session notes). */
+function systemWithRules(content) {
+  if (typeof content !== "string") return content;
+  const at = content.indexOf(NOTES_MARKER);
+  let base = at === -1 ? content : content.slice(0, at);
+  const notes = at === -1 ? "" : content.slice(at);
+  if (!styleHintEnabled()) for (const re of STYLE_SECTIONS) base = base.replace(re, "");
+  return base + rulesSection() + notes;
+}
+
+/** A conversation as sent to the model: rules merged into its system prompt. */
+function withRules(list) {
+  if (list[0]?.role !== "system") return list;
+  return [{ ...list[0], content: systemWithRules(list[0].content) }, ...list.slice(1)];
 }
 
-if (messages.length === 0) {
-  messages = [{
-    role: "system",
-    content: `
+function showRules() {
+  if (rules.sources.length === 0) {
+    console.log(`\n📏 No ${RULES_FILE} found. Create one in ${projectDir} (or your home folder) with conventions, stack, forbidden patterns and build commands.`);
+    return;
+  }
+  for (const s of rules.sources) {
+    console.log(chalk.bold(`\n📏 ${describeRuleSource(s)} (${s.scope})`));
+    console.log(s.body || chalk.gray("   (no rules, options only)"));
+  }
+  const opts = Object.entries(rules.options).map(([k, v]) => `${k}: ${v}`);
+  console.log(chalk.gray(`\n   Options: ${opts.length ? opts.join(", ") : "none"} · style hint ${styleHintEnabled() ? "on" : "off"} · ${formatTokens(countTokens(rulesSection()))} tokens`));
+}
+
+reloadRules();
+if (rules.sources.length > 0) {
+  console.log(chalk.gray(`📏 Rules: ${rules.sources.map(describeRuleSource).join(", ")}${styleHintEnabled() ? "" : " (style hint off)"}`));
+}
+
+/* ================= MEMORY & SESSIONS ================= */
+
+const SYSTEM_PROMPT = `
 You are DevAI — an Elite Senior Software Engineer and Architect.
 
 ==================== 1. TECH STACK STRATEGY ====================
@@ -744,6 +2285,7 @@ You are DevAI — an Elite Senior Software Engineer and Architect.
 - **CONTEXT**: "search" block must be UNIQUE enough to find the location.
 - **WHITESPACE**: Preserve exact indentation in "search" blocks.
 - **SCOPE**: Only rewrite the whole file ("action": "create") if changing >50% of the content.
+- **DIFFS**: For many scattered changes in one file you may send a unified diff ("action": "patch") instead of edits.
 
 ==================== 4. DESIGN STANDARDS ====================
 - Aesthetic: Modern, clean, premium (Apple/Stripe inspired).
@@ -777,158 +2319,488 @@ You are DevAI — an Elite Senior Software Engineer and Architect.
   ]
 }
 
-// OPTION C: SHELL COMMANDS / INSTRUCTIONS
+// OPTION C: UNIFIED DIFF PATCH
+{
+  "plan": ["Show two decimals"],
+  "files": [
+    {
+      "path": "src/utils/format.js",
+      "action": "patch",
+      "diff": "@@ -10,3 +10,3 @@\\n export function fmt(x) {\\n-  return x.toFixed(1);\\n+  return x.toFixed(2);\\n }\\n"
+    }
+  ]
+}
+
+// OPTION D: DELETE / RENAME / MOVE FILES
+{
+  "plan": ["Convert Button to TypeScript", "Remove unused helper"],
+  "files": [
+    { "path": "src/Button.jsx", "action": "rename", "to": "Button.tsx" },
+    { "path": "src/old/api.js", "action": "move", "to": "src/lib/" },
+    { "path": "src/legacy.js", "action": "delete" }
+  ]
+}
+
+// OPTION E: SHELL COMMANDS / INSTRUCTIONS
 {
   "instructions": ["npm install framer-motion", "npm run dev"]
 }
 
-You can mix edits and creates in the same response.
+// OPTION F: READ LINES FIRST (for files shown only as an outline)
+{
+  "plan": ["Need the body of parseConfig"],
+  "read": [{ "path": "src/config.js", "start": 120, "end": 180 }]
+}
+
+You can mix edits, patches, creates, renames and deletes in the same response.
 
 CRITICAL RULES:
 - File paths MUST be relative (e.g. "src/index.js", "routes/auth.js")
 - For edits: the "search" field must contain the EXACT code block currently in the file
 - For creates: the "content" field must contain the COMPLETE file content
+- For renames/moves: "to" is the new path ("rename" with a bare name keeps the folder; add "content" to also rewrite the file)
+- Use "delete" to remove obsolete files instead of leaving them behind (the user confirms deletes)
+- For patches: the "diff" field must be a unified diff (@@ hunk headers, " " context, "-" removed, "+" added lines) with 2-3 lines of context per hunk
 - Keep search blocks as small as possible — only include the lines being changed plus 1-2 lines of context
 - Do NOT wrap the JSON in markdown code fences
 - Do NOT use curly/smart quotes — use straight quotes only
 - Do NOT add any text before or after the JSON
-`
-  }];
+- Never edit a file you have only seen as an outline or preview — "read" the lines you need first (without "files"); they are sent back to you
+- "instructions" are shell commands run in the project folder after the user approves each one; their results are sent back to you. One command per entry, no "sudo"
+`;
+
+let session = null;              // Current named session (lib/sessions.js)
+let messages = [];               // session.messages: system prompt + conversation
+let transcribed = new WeakSet(); // Messages already appended to the session transcript
+
+/** Makes `s` the current conversation. */
+function openSession(s) {
+  if (s.messages.length === 0) s.messages.push({ role: "system", content: SYSTEM_PROMPT });
+  session = s;
+  messages = s.messages;
+  budgetWarned = "ok";
+  // A session without a transcript yet (e.g. imported memory) writes its history out once
+  transcribed = new WeakSet(fs.existsSync(transcriptPath(projectDir, s.name)) ? messages : messages.slice(0, 1));
 }
 
-function trimMemory() {
-  if (messages.length > 20) messages.splice(1, messages.length - 20);
+/** Imports the single .devai_memory.json of older versions as session "default". */
+function migrateLegacyMemory() {
+  const legacy = path.join(projectDir, MEMORY_FILE);
+  if (!fs.existsSync(legacy) || sessionExists(projectDir, "default")) return;
+  try {
+    const loaded = JSON.parse(fs.readFileSync(legacy, "utf8"));
+    if (!Array.isArray(loaded) || loaded.length === 0) throw new Error("Invalid memory format");
+    saveSession(projectDir, createSession("default", { model: modelConfig.key, messages: loaded }));
+    const oldTranscript = path.join(projectDir, DEVAI_DIR, "transcript.jsonl");
+    if (fs.existsSync(oldTranscript)) fs.renameSync(oldTranscript, transcriptPath(projectDir, "default"));
+    fs.renameSync(legacy, path.join(projectDir, DEVAI_DIR, "legacy-memory.json"));
+    console.log(chalk.gray(`   (Imported ${MEMORY_FILE} as session "default")`));
+  } catch (e) {
+    console.log("⚠️  Memory file was corrupted, starting fresh.");
+  }
 }
 
-/* ================= MAIN LOOP ================= */
+migrateLegacyMemory();
+const lastSession = lastSessionName(projectDir);
+const resumable = lastSession && loadSession(projectDir, lastSession);
+// Headless runs are one-off tasks and only continue the last session with --resume
+const resume = resumable && (cli.resume || (!headless && !/^n/i.test(await ask(`\n↻ Resume session "${lastSession}" (${resumable.messages.filter(m => m.role === "user").length} turn(s), last used ${resumable.updated.slice(0, 16).replace("T", " ")})? (Y/n): `))));
+if (resume) {
+  openSession(resumable);
+  if (!headless) console.log(chalk.green(`✓ Resumed session "${lastSession}"`));
+} else {
+  openSession(createSession(defaultSessionName(projectDir), { model: modelConfig.key }));
+  if (!headless) console.log(chalk.gray(`   New session "${session.name}" — /session to manage sessions`));
+}
 
-console.log(`\nModel: ${modelConfig.name} (${modelConfig.id})`);
-console.log(`Project: ${detectProjectType(projectDir)} — ${projectDir}`);
-console.log("Type 'exit' to quit\n");
+/** Records files a turn changed in the session metadata. */
+function noteFilesTouched(paths) {
+  for (const p of paths) if (!session.filesTouched.includes(p)) session.filesTouched.push(p);
+  try { saveSession(projectDir, session); } catch {}
+}
 
-while (true) {
-  const input = await ask("You: ");
-  if (!input || input.toLowerCase() === "exit") break;
+/**
+ * Adds a request's token usage to the session (overall and per model) and
+ * to the turn in progress.
+ * @param {number} input - Estimated prompt tokens, used when the API reported none.
+ * @param {number} output - Estimated reply tokens.
+ * @param {object|null} [reported] - `usage` from the API response.
+ */
+function trackUsage(input, output, reported = null) {
+  if (!session) return;
+  const usage = measureUsage(modelConfig, reported, input, output);
+  addUsage(session.tokens, usage);
+  session.tokens.byModel ??= {};
+  addUsage(session.tokens.byModel[modelConfig.key] ??= emptyUsage(), usage);
+  if (turnUsage) addUsage(turnUsage, usage);
+}
 
-  // Handle /build command
-  if (input.startsWith("/build")) {
-    const customCmd = input.slice(6).trim();
-    if (customCmd) {
-      customBuildCmd = customCmd;
-      console.log(`\n✓ Build command set: ${customBuildCmd}`);
+// Redact in place so a secret typed by the user is neither persisted nor re-sent
+function redactMemory() {
+  for (const m of messages) {
+    if (typeof m.content === "string") m.content = redact(m.content, { source: "memory" });
+    else if (Array.isArray(m.content)) {
+      for (const part of m.content) if (part.type === "text") part.text = redact(part.text, { source: "memory" });
     }
-    await selfDebugLoop(projectDir, messages, client, modelConfig);
-    continue;
   }
+  reportRedactions();
+}
 
-  const imgPath = await ask("Image (optional / none): ");
-  let imgBase64 = null;
+function saveMemory() {
+  redactMemory();
+  appendTranscript();
 
-  if (imgPath && imgPath.toLowerCase() !== "none") {
-    try {
-      if (!fs.existsSync(imgPath)) {
-        console.log("⚠️  Image not found:", imgPath);
+  try {
+    session.model = modelConfig.key;
+    saveSession(projectDir, session);
+  } catch (e) {
+    console.log("⚠️  Warning: Could not save session:", e.message);
+  }
+}
+
+/* ================= ROLLING SUMMARY ================= */
+
+const NOTES_MARKER = "\n\n==================== SESSION NOTES (earlier conversation) ====================\n";
+const KEEP_RECENT = 4;          // Messages never condensed
+const SUMMARY_INPUT_CHARS = 4000; // Per message sent to the summarizer
+
+const SUMMARY_PROMPT = `You maintain the running notes of a coding session between a user and an AI developer.
+Merge the existing notes with the conversation excerpt into updated notes. Keep:
+- Decisions and requirements (tech stack, conventions, constraints the user asked for)
+- Files touched (paths and what changed)
+- Open TODOs and unresolved problems
+Use short bullet points under those three headings. Drop anything superseded. Max ~300 words. Plain text only.`;
+
+/** Session notes of a conversation (kept at the end of its system prompt). */
+function sessionNotes(list = messages) {
+  const system = list[0]?.content;
+  const at = typeof system === "string" ? system.indexOf(NOTES_MARKER) : -1;
+  return at === -1 ? "" : system.slice(at + NOTES_MARKER.length);
+}
+
+function setSessionNotes(notes) {
+  const system = messages[0].content;
+  const at = system.indexOf(NOTES_MARKER);
+  messages[0].content = (at === -1 ? system : system.slice(0, at)) + NOTES_MARKER + notes.trim();
+}
+
+/** Plain-text view of a message for the summarizer and exports (images become "[image]"). */
+function messageText(m, limit = Infinity) {
+  const text = typeof m.content === "string"
+    ? m.content
+    : (m.content || []).map(p => (p.type === "text" ? p.text : "[image]")).join("\n");
+  return text.length > limit ? `${text.slice(0, limit)}\n[... ${text.length - limit} chars cut]` : text;
+}
+
+/** Appends messages not yet on disk to the session's transcript (never rewritten). */
+function appendTranscript() {
+  const fresh = messages.slice(1).filter(m => !transcribed.has(m));
+  if (fresh.length === 0) return;
+  try {
+    ensureDevaiDir(projectDir);
+    const file = transcriptPath(projectDir, session.name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const time = new Date().toISOString();
+    fs.appendFileSync(file, fresh.map(m => JSON.stringify({ time, role: m.role, content: messageText(m) })).join("\n") + "\n");
+    fresh.forEach(m => transcribed.add(m));
+  } catch (e) {
+    console.log("⚠️  Warning: Could not write transcript:", e.message);
+  }
+}
+
+/**
+ * Keeps history within its token budget: once it grows past it, the oldest
+ * turns are condensed by the model into the session notes. Falls back to
+ * dropping them if the summary request fails. The raw turns stay in the transcript.
+ */
+async function compactMemory() {
+  redactMemory();
+  appendTranscript();
+  const window = modelConfig.contextWindow || 32768;
+  const budget = memoryConfig.historyTokens || Math.floor(window * 0.25);
+  const turns = messages.slice(1);
+  if (turns.length <= KEEP_RECENT || countMessageTokens(turns) <= budget) return;
+
+  // Condense from the oldest until what's left fits in half the budget (whole user/assistant pairs)
+  let cut = 0;
+  while (turns.length - cut > KEEP_RECENT && countMessageTokens(turns.slice(cut)) > budget / 2) cut += 2;
+  cut = Math.min(cut, turns.length - KEEP_RECENT);
+  cut -= cut % 2;
+  if (cut === 0) return;
+  const old = turns.slice(0, cut);
+
+  const excerpt = old.map(m => `${m.role.toUpperCase()}: ${messageText(m, SUMMARY_INPUT_CHARS)}`).join("\n\n");
+  const previous = sessionNotes();
+  process.stdout.write(chalk.gray(`🗜  Condensing ${old.length} old message(s) into session notes...`));
+  try {
+    const summaryMessages = [
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: `EXISTING NOTES:\n${previous || "(none)"}\n\nCONVERSATION EXCERPT:\n${excerpt}` },
+    ];
+    const res = await callModel(summaryMessages, (client, model) => client.chat.completions.create({
+      model: model.id,
+      messages: summaryMessages,
+      temperature: 0.2,
+      max_tokens: 1024,
+    }));
+    const notes = res.choices?.[0]?.message?.content?.trim();
+    trackUsage(countTokens(SUMMARY_PROMPT) + countTokens(excerpt), countTokens(notes || ""), res.usage);
+    if (!notes) throw new Error("empty summary");
+    setSessionNotes(notes);
+    console.log(chalk.gray(` ✓ (${formatTokens(countMessageTokens(old))} → ${formatTokens(countTokens(notes))} tokens)`));
+  } catch (e) {
+    console.log(chalk.yellow(`\n⚠️  Could not summarize (${e.message}) — dropping the oldest ${old.length} message(s) instead.`));
+  }
+  messages.splice(1, cut);
+}
+
+/* ================= IMAGE INPUT ================= */
+
+async function loadImage(imgPath) {
+  if (!imgPath || imgPath.toLowerCase() === "none") return null;
+  try {
+    if (!fs.existsSync(imgPath)) {
+      console.log("⚠️  Image not found:", imgPath);
+      return null;
+    }
+    const buf = await sharp(imgPath).resize(1024).jpeg({ quality: 80 }).toBuffer();
+    console.log("✓ Image loaded");
+    return `data:image/jpeg;base64,${buf.toString("base64")}`;
+  } catch (e) {
+    console.log("⚠️  Could not load image:", e.message);
+    return null;
+  }
+}
+
+/* ================= COMMAND RUNNER ================= */
+
+const alwaysAllowed = new Set();  // Commands approved with "always" this session, matched verbatim
+let pendingCommandResults = [];   // Results of "instructions", reported to the model next turn
+
+function commandPolicy() {
+  const list = v => (Array.isArray(v) ? v.filter(p => typeof p === "string") : []);
+  return { allow: list(commandConfig.allow), deny: list(commandConfig.deny), exact: [...alwaysAllowed] };
+}
+
+/**
+ * Offers to run the model's "instructions" one by one: run, skip, edit or
+ * always allow. Denied commands never run; allow-listed ones run without
+ * asking (the only ones that run with --yes). Output streams live.
+ * @param {string[]} instructions
+ * @param {{ autoAccept?: boolean, dryRun?: boolean }} [opts]
+ * @returns {Promise<Array<{ command: string, status: string, code?: number|null, output?: string, reason?: string }>>}
+ *   status: "ok", "failed", "timed out", "interrupted", "skipped" or "blocked".
+ */
+async function runInstructions(instructions, { autoAccept = false, dryRun = false } = {}) {
+  const commands = instructions.filter(c => typeof c === "string" && c.trim()).map(c => c.trim());
+  if (commands.length === 0) return [];
+
+  console.log("\n📌 How to Run:");
+  commands.forEach((c, i) => console.log(`  ${i + 1}. ${c}`));
+  if (dryRun) return [];
+
+  const unattended = autoAccept || headless;
+  const timeout = commandConfig.timeout > 0 ? commandConfig.timeout : COMMAND_TIMEOUT;
+  const results = [];
+  let stopAll = false;
+
+  for (let i = 0; i < commands.length; i++) {
+    let command = commands[i];
+    const record = (status, extra = {}) => results.push({ command, status, ...extra });
+    if (stopAll) {
+      record("skipped", { reason: "skipped by the user" });
+      continue;
+    }
+
+    let check = checkCommand(command, commandPolicy());
+    console.log(chalk.bold(`\n▶ [${i + 1}/${commands.length}] ${command}`));
+    if (check.verdict === "ask" && unattended) {
+      console.log(chalk.gray("   Skipped — not in \"commands.allow\" (only allow-listed commands run unattended)"));
+      record("skipped", { reason: "not allow-listed for unattended runs" });
+      continue;
+    }
+
+    while (check.verdict === "ask") {
+      const answer = (await ask(chalk.yellow("   Run it? (y)es / (s)kip / (e)dit / (a)lways / (q)uit: "))).toLowerCase();
+      if (answer === "e" || answer === "edit") {
+        const edited = await ask("   Command: ", { initial: command });
+        if (edited) command = edited;
+        check = checkCommand(command, commandPolicy());
+      } else if (answer === "a" || answer === "always") {
+        alwaysAllowed.add(command.trim());
+        console.log(chalk.gray("   Always allowing this command for the rest of the session"));
+        check = { verdict: "allow", reason: "" };
+      } else if (answer === "y" || answer === "yes") {
+        check = { verdict: "allow", reason: "" };
       } else {
-        const buf = await sharp(imgPath).resize(1024).jpeg({ quality: 80 }).toBuffer();
-        imgBase64 = `data:image/jpeg;base64,${buf.toString("base64")}`;
-        console.log("✓ Image loaded");
+        stopAll = answer === "q" || answer === "quit";
+        break;
       }
-    } catch (e) {
-      console.log("⚠️  Could not load image:", e.message);
     }
+
+    if (check.verdict === "deny") {
+      console.log(chalk.red(`   ⛔ Blocked: ${check.reason}`));
+      record("blocked", { reason: check.reason });
+      continue;
+    }
+    if (check.verdict !== "allow") {
+      record("skipped", { reason: "skipped by the user" });
+      continue;
+    }
+
+    console.log(chalk.gray(`   Running (timeout ${timeout}s, Ctrl+C to stop)...`));
+    console.log("─".repeat(50));
+    const result = await runCommand(command, projectDir, { timeout, onOutput: text => process.stdout.write(text) });
+    console.log("─".repeat(50));
+    const took = `${result.seconds.toFixed(1)}s`;
+    if (result.timedOut) console.log(chalk.yellow(`   ⏱  Stopped after ${timeout}s`));
+    else if (result.interrupted) console.log(chalk.yellow(`   ⏹  Stopped by Ctrl+C (${took})`));
+    else if (result.code === 0) console.log(chalk.green(`   ✓ Exit 0 (${took})`));
+    else console.log(chalk.red(`   ✗ Exit ${result.code ?? "?"} (${took})`));
+
+    const status = result.timedOut ? "timed out" : result.interrupted ? "interrupted" : result.code === 0 ? "ok" : "failed";
+    record(status, { code: result.code, output: result.output });
   }
 
-  const smartContext = buildSmartContext(projectDir, input, modelConfig.contextLimit || 12000);
+  pendingCommandResults.push(...results);
+  return results;
+}
 
+/** The pending command results as a note for the next request ("" if none). */
+function takeCommandNote() {
+  if (pendingCommandResults.length === 0) return "";
+  const lines = pendingCommandResults.map(r => {
+    if (r.status === "blocked" || r.status === "skipped") return `- \`${r.command}\`: not run (${r.reason})`;
+    if (r.status === "ok") return `- \`${r.command}\`: succeeded`;
+    const tail = redact(r.output.trim().slice(-1500), { source: "command output" });
+    return `- \`${r.command}\`: ${r.status === "failed" ? `failed with exit code ${r.code}` : r.status}${tail ? `\n\`\`\`\n${tail}\n\`\`\`` : ""}`;
+  });
+  pendingCommandResults = [];
+  return `NOTE: Results of the commands from your previous "instructions":\n${lines.join("\n")}\n\n`;
+}
+
+/* ================= REQUEST HANDLER ================= */
+
+/**
+ * Sends one user request to the model and applies the returned files.
+ * @param {string} input - The user's request.
+ * @param {string|null} imgBase64 - Optional data-URL image.
+ * @param {{ autoAccept?: boolean, dryRun?: boolean }} [opts]
+ * @returns {Promise<{ ok: boolean, applied: number }>} ok is false when no usable response came back.
+ */
+async function runRequest(input, imgBase64, { autoAccept = false, dryRun = false, readRound = 0, request = input } = {}) {
   // Full prompt for the AI (includes context)
-  
+
   // --- NEW CODE START ---
-  const styleHint = `
+  // DEVAI.md can turn this off (`styleHint: false`) for projects with their own stack and style
+  const styleHint = styleHintEnabled() ? `
   REMINDER: 
   1. If I mentioned a specific tech stack, use it. 
   2. If not, use the Modern Default (React/Tailwind).
   3. Make the UI look premium and modern (Apple/Stripe aesthetic) unless I asked for "Retro" or "Basic".
-  `;
+  ` : "";
+
+  const feedbackNote = takeFeedbackNote() + takeCommandNote();
+
+  // @mentions: files always go in full, images through the same pipeline as --image
+  const mentions = resolveMentions(projectDir, parseMentions(input), collectFiles(projectDir));
+  const images = [imgBase64];
+  if (mentions.resolved.length > 0) {
+    console.log(`📌 Mentioned: ${mentions.resolved.map(m => m.count > 1 || m.mention.endsWith("/") || /[*?[]/.test(m.mention) ? `${m.mention} (${m.count} files)` : m.mention).join(", ")}`);
+  }
+  mentions.unmatched.forEach(m => console.log(chalk.yellow(`⚠️  @${m} matched no project file`)));
+  for (const img of mentions.images) {
+    if (!modelConfig.isMultimodal) console.log(chalk.yellow(`⚠️  ${modelConfig.name} can't read images — skipping @${img}`));
+    else images.push(await loadImage(path.join(projectDir, img)));
+  }
+  const imageParts = images.filter(Boolean).map(url => ({ type: "image_url", image_url: { url } }));
+
+  // Plan the token budget first; the project context gets what is left
+  const requestText = `${feedbackNote}User request: ${input}\n${styleHint}\nProject: ${detectProjectType(projectDir)}\nProject folder: ${projectDir}\n\n`;
+  const plan = planBudget(modelConfig, withRules(messages), imageParts.length > 0 ? [{ type: "text", text: requestText }, ...imageParts] : requestText);
+  const smartContext = buildSmartContext(projectDir, input, plan.budget.context, { mentioned: mentions.files });
+  reportRedactions();
+  printBudget(plan, countTokens(smartContext));
 
   // Full prompt for the AI (includes context)
-  const fullUserText = `User request: ${input}\n${styleHint}\nProject: ${detectProjectType(projectDir)}\nProject folder: ${projectDir}\n\n${smartContext}`;
+  const fullUserText = requestText + smartContext;
   // --- NEW CODE END ---
-  
-  const apiContent = imgBase64
-    ? [
-        { type: "text", text: fullUserText },
-        { type: "image_url", image_url: { url: imgBase64 } }
-      ]
+
+  const apiContent = imageParts.length > 0
+    ? [{ type: "text", text: fullUserText }, ...imageParts]
     : fullUserText;
 
   // Minimal prompt for history (excludes massive context bloat)
-  const historyContent = imgBase64
-    ? [
-        { type: "text", text: input },
-        { type: "image_url", image_url: { url: imgBase64 } }
-      ]
-    : input;
+  const historyContent = imageParts.length > 0
+    ? [{ type: "text", text: feedbackNote + input }, ...imageParts]
+    : feedbackNote + input;
 
-  // Prepare messages for this run: History + Current Full Prompt
-  const apiMessages = [...messages, { role: "user", content: apiContent }];
+  // Prepare messages for this run: History (as much as fits) + Current Full Prompt
+  const apiMessages = [...plan.messages, { role: "user", content: apiContent }];
 
   // Spinner for waiting
   let spinnerInt;
   const spinnerChars = ["|", "/", "-", "\\"];
   let spIndex = 0;
-  
+
   process.stdout.write("DevAI: Planning & coding  ");
   spinnerInt = setInterval(() => {
     process.stdout.write(`\rDevAI: Planning & coding ${spinnerChars[spIndex++ % 4]} `);
   }, 100);
 
   let reply = "";
+  let finishReason = null; // "length" when max_tokens cut the reply off
+  let usage = null;        // Token counts reported by the API
 
+  // API errors are retried (and fall back to other models) inside callModel; this loop only covers empty replies
   for (let i = 0; i < 3; i++) {
     try {
-      // Use streaming to avoid timeout on large responses
-      const stream = await client.chat.completions.create({
-        model: modelConfig.id,
-        messages: apiMessages,
-        temperature: modelConfig.temperature,
-        top_p: modelConfig.topP,
-        max_tokens: modelConfig.maxTokens,
-        stream: true,
-        ...modelConfig.extraParams
-      });
-
-      let chunks = "";
       let chunkCount = 0;
-      const detectedFiles = new Set();
+      ({ text: reply, finishReason, chunkCount, usage } = await callModel(apiMessages, async (client, model) => {
+        // Use streaming to avoid timeout on large responses
+        const stream = await createStream(client, model, {
+          model: model.id,
+          messages: apiMessages,
+          temperature: model.temperature,
+          top_p: model.topP,
+          max_tokens: model.maxTokens,
+          ...model.extraParams
+        });
 
+        let chunks = "";
+        let chunkCount = 0;
+        let finishReason = null;
+        let usage = null;
 
-      for await (const chunk of stream) {
-        // Clear spinner on first chunk
-        if (spinnerInt) {
-            clearInterval(spinnerInt);
-            spinnerInt = null;
-            process.stdout.write("\rDevAI: Planning & coding ... \n");
-        }
+        for await (const chunk of stream) {
+          // Clear spinner on first chunk
+          if (spinnerInt) {
+              clearInterval(spinnerInt);
+              spinnerInt = null;
+              process.stdout.write("\rDevAI: Planning & coding ... \n");
+          }
 
-        chunkCount++;
-        const delta = chunk.choices?.[0]?.delta;
-        
-        // Handle Reasoning (Thinking)
-        if (delta?.reasoning_content) {
-          process.stdout.write(chalk.gray(delta.reasoning_content));
-        }
+          chunkCount++;
+          const delta = chunk.choices?.[0]?.delta;
+          finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+          usage = chunk.usage || usage; // Last chunk, with stream_options.include_usage
+
+          // Handle Reasoning (Thinking)
+          if (delta?.reasoning_content) {
+            process.stdout.write(chalk.gray(delta.reasoning_content));
+          }
 
-        // Handle Content
-        if (delta?.content) {
-          chunks += delta.content;
-          // Don't print raw JSON content to terminal
-          // distinct from reasoning
-          process.stdout.write(`\rGenerating response... (${chunks.length} chars)`);
+          // Handle Content
+          if (delta?.content) {
+            chunks += delta.content;
+            // Don't print raw JSON content to terminal
+            // distinct from reasoning
+            process.stdout.write(`\rGenerating response... (${chunks.length} chars)`);
+          }
         }
-      }
-      // clearInterval(progressTimer); // Removed
+        return { text: chunks, finishReason, chunkCount, usage };
+      }));
       process.stdout.write("\n"); // Newline after progress line
-      reply = chunks;
 
       if (reply.trim()) {
         console.log(` ✓ Received full response.`);
@@ -938,108 +2810,333 @@ while (true) {
     } catch (e) {
       if (spinnerInt) { clearInterval(spinnerInt); spinnerInt = null; process.stdout.write("\n"); }
       console.log(`\n❌ Error: ${e.message}`);
-      if (i === 2) console.log("Aborting after 3 attempts.");
-      if (e.status === 401) {
-        console.log("   API key is invalid. Check your .env file.");
-        break;
-      }
-      if (e.status === 429) {
-        console.log("   Rate limited. Waiting 5 seconds...");
-        await new Promise(r => setTimeout(r, 5000));
-      }
-      if (i < 2) console.log("   Retrying...");
+      if (e.status === 401) console.log("   API key is invalid. Check your .env file.");
+      else if (classifyError(e).fallback) console.log("   Out of retries and fallback models.");
+      break;
     }
   }
 
   if (!reply.trim()) {
     console.log("\n⚠️  No response received. Try again or switch model.\n");
     // No need to pop messages; we haven't pushed the user message yet
-    continue;
+    return { ok: false, applied: 0 };
   }
 
+  trackUsage(countMessageTokens(apiMessages), countTokens(reply), usage);
+  reply = await continueTruncated(apiMessages, reply, finishReason);
+
+  // Check the reply against the response schema; the model corrects violations itself
+  const checked = await parseValidReply(apiMessages, reply);
+  reply = checked.reply;
+
   // Update memory with minimal user message + assistant reply
   messages.push({ role: "user", content: historyContent });
   messages.push({ role: "assistant", content: reply });
-  trimMemory();
-  
-  try {
-    fs.writeFileSync(memoryPath, JSON.stringify(messages, null, 2));
-  } catch (e) {
-    console.log("⚠️  Warning: Could not save memory:", e.message);
-  }
-
-  // Auto-detect and strip leading explanation text
-  if (!reply.trim().startsWith("{")) {
-    const jsonStart = reply.indexOf("{");
-    if (jsonStart !== -1) reply = reply.slice(jsonStart);
-  }
+  await compactMemory();
+  saveMemory();
 
-  const parsed = parseJSON(reply);
+  const { parsed, problems } = checked;
+  if (!parsed || (problems.length > 0 && applyMode === "strict")) {
+    console.log(parsed
+      ? chalk.red(`\n❌ The response still breaks the format after ${repairAttempts} correction(s) — nothing was applied (strict mode):`)
+      : "\n⚠️  Could not parse AI response as JSON.");
+    if (parsed) problems.slice(0, 5).forEach(p => console.log(chalk.red(`   • ${p}`)));
+    else console.log("   The AI replied with text instead of structured output.");
 
-  if (!parsed) {
-    console.log("\n⚠️  Could not parse AI response as JSON.");
-    console.log("   The AI replied with text instead of structured output.");
-    
     // Save raw response so user can inspect it
     const rawFile = path.join(projectDir, "_devai_last_response.txt");
     fs.writeFileSync(rawFile, reply);
     console.log(`   Raw response saved to: ${rawFile}`);
-    console.log("   Tip: Try asking again with a simpler request.\n");
-    continue;
+    console.log(parsed ? "   Use /apply best-effort to apply the valid parts anyway.\n" : "   Tip: Try asking again with a simpler request.\n");
+    return { ok: false, applied: 0 };
+  }
+  if (problems.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Applying the valid parts; ${problems.length} format problem(s) remain: ${summarizeProblems(problems)}`));
   }
 
-  if (parsed.plan) {
+  if (Array.isArray(parsed.plan)) {
     console.log("\n🧠 Plan:");
     parsed.plan.forEach((p, i) => console.log(`  ${i + 1}. ${p}`));
   }
 
-  if (parsed.files && Array.isArray(parsed.files)) {
-    
-    // 1. Create Checkpoint
-    const checkpoint = gitCheckpoint();
-
-    console.log(`\n📂 Writing ${parsed.files.length} file(s):`);
-    for (const f of parsed.files) {
-      if (!f.path) {
-        console.log("  ❌ Skipped invalid file entry (missing path)");
-        continue;
-      }
-      // Surgical edit mode: use search/replace edits
-      if (f.edits && Array.isArray(f.edits)) {
-        patchFile(projectDir, f.path, null, f.edits);
-      } else if (typeof f.content === "string") {
-        // Full overwrite mode (backward-compatible)
-        patchFile(projectDir, f.path, f.content);
-      } else {
-        console.log("  ❌ Skipped invalid file entry (missing content or edits)");
-      }
+  // The model asked to see line ranges (from an outline) before editing: send them and ask again
+  if (wantsRead(parsed)) {
+    if (readRound >= MAX_READ_ROUNDS) {
+      console.log(chalk.yellow(`\n⚠️  The AI is still asking for more lines after ${MAX_READ_ROUNDS} rounds — stopping here.`));
+      return { ok: false, applied: 0 };
     }
+    console.log(`\n📖 AI asked to read: ${describeReads(parsed.read)}`);
+    const excerpt = readLineRanges(projectDir, parsed.read);
+    return runRequest(`${request}\n\nHere are the lines you asked for:\n${excerpt}`, null, { autoAccept, dryRun, readRound: readRound + 1, request });
+  }
+
+  let applied = 0;
+
+  if (parsed.files && Array.isArray(parsed.files) && dryRun) {
+    console.log(`\n📂 Dry run — ${parsed.files.length} file(s) would be written (use --yes to apply):`);
+    parsed.files.forEach(f => console.log(`  • ${f.path || "(missing path)"} [${f.action || (f.edits ? "edit" : "create")}]${f.to ? ` → ${f.to}` : ""}`));
+  } else if (parsed.files && Array.isArray(parsed.files)) {
+    // 1. Write as one checkpoint (reviewed hunk by hunk in review mode)
+    let entry;
+    ({ applied, entry } = await applyReplyFiles(projectDir, parsed.files, input, { autoAccept }));
 
-    // 3. Verification Prompt (Only if checkpoint was possible)
-    if (checkpoint) {
+    // 2. Verification Prompt (only if something changed without a review)
+    if (entry && autoAccept) {
+      console.log(chalk.green("   ✓ Changes accepted (--yes)."));
+    } else if (entry) {
       const userAction = await ask(chalk.yellow("\n👀 Review changes. Keep them? (y/undo): "));
       
       if (userAction.toLowerCase() === "undo" || userAction.toLowerCase() === "n") {
-        // 4a. UNDO
-        gitRestore(checkpoint);
+        // 3a. UNDO — restores only the files this turn touched
+        undoTurns(projectDir, 1);
         // Remove the AI's response from memory so it forgets the bad code
         messages.pop(); 
         messages.pop(); 
         console.log(chalk.gray("   (Memory rewound)"));
+        applied = 0;
       } else {
-        // 4b. KEEP
-        gitDiscard(checkpoint); // Drop the stash, we are keeping the new state
+        // 3b. KEEP (still undoable later with /undo)
         console.log(chalk.green("   ✓ Changes accepted."));
       }
     }
   }
 
-  if (parsed.instructions) {
-    console.log("\n📌 How to Run:");
-    parsed.instructions.forEach((s, i) => console.log(`  ${i + 1}. ${s}`));
+  if (Array.isArray(parsed.instructions)) {
+    const results = await runInstructions(parsed.instructions, { autoAccept, dryRun });
+    const failed = results.filter(r => ["failed", "timed out"].includes(r.status));
+    if (failed.length > 0 && !autoAccept && !headless) {
+      const react = await ask(chalk.yellow(`\n🤖 ${failed.length} command(s) failed. Send the output to the AI to fix? (y/N): `));
+      if (/^y/i.test(react)) {
+        const followUp = await runRequest("The commands you suggested failed (see the results above). Fix the cause.", null, { autoAccept, dryRun });
+        return { ok: followUp.ok, applied: applied + followUp.applied };
+      }
+    }
+    if (results.length > 0 && !headless) console.log(chalk.gray("   (Command results will be shared with the AI on your next message)"));
   }
 
   console.log("\n✅ Done\n");
+  return { ok: true, applied };
+}
+
+async function runAgentTask(task, opts) {
+  const maxSteps = parseInt(cli["max-steps"], 10) || AGENT_MAX_STEPS;
+  const result = await runAgent(projectDir, messages, task, { maxSteps, ...opts });
+  await compactMemory();
+  saveMemory();
+  return result;
+}
+
+/* ================= SESSION COMMANDS ================= */
+
+const SESSION_USAGE = "   Usage: /session [list | new [name] | switch <name> | fork [name] | export [--md] [name]]";
+
+/** Handles /session subcommands. */
+function sessionCommand(args) {
+  const [sub = "list", ...rest] = args;
+  const name = rest.find(a => !a.startsWith("--"));
+
+  if (sub === "list") {
+    const sessions = listSessions(projectDir);
+    if (!sessions.some(s => s.name === session.name)) sessions.unshift({ ...session, turns: 0, files: 0 });
+    console.log(`\n🗂  Sessions (${sessions.length}):`);
+    for (const s of sessions) {
+      const line = `${s.name}  ${chalk.gray(`${s.model || "?"} · ${s.turns} turn(s) · ${s.files} file(s) · ${formatTokens(s.tokens.input + s.tokens.output)} tokens${s.tokens.cost > 0 ? ` (${formatCost(s.tokens.cost)})` : ""} · ${s.updated.slice(0, 16).replace("T", " ")}`)}`;
+      console.log(s.name === session.name ? chalk.green(`  ▶ ${line}`) : `    ${line}`);
+    }
+    console.log();
+    return;
+  }
+
+  if (sub === "new" || sub === "switch" || sub === "fork") {
+    const target = name || (sub === "new" ? defaultSessionName(projectDir) : sub === "fork" ? `${session.name}-fork` : "");
+    if (!target) return console.log(SESSION_USAGE);
+    if (!isValidSessionName(target)) return console.log(`❌ Invalid session name: ${target} (use letters, digits, _ . -)`);
+    if (target === session.name) return console.log(`   Already in session "${target}".`);
+    if (sub === "switch" && !sessionExists(projectDir, target)) return console.log(`❌ No session named "${target}" — /session list`);
+    if (sub !== "switch" && sessionExists(projectDir, target)) return console.log(`❌ Session "${target}" already exists.`);
+
+    saveMemory();
+    if (sub === "new") {
+      openSession(createSession(target, { model: modelConfig.key }));
+    } else if (sub === "fork") {
+      const fork = createSession(target, { model: modelConfig.key, messages: JSON.parse(JSON.stringify(messages)), forkedFrom: session.name });
+      fork.filesTouched = [...session.filesTouched];
+      copyTranscript(projectDir, session.name, target);
+      openSession(fork);
+    } else {
+      openSession(loadSession(projectDir, target));
+    }
+    saveMemory();
+    const turns = messages.filter(m => m.role === "user").length;
+    console.log(chalk.green(`\n✓ ${sub === "new" ? "Started" : sub === "fork" ? "Forked into" : "Switched to"} session "${target}" (${turns} turn(s))\n`));
+    return;
+  }
+
+  if (sub === "export") {
+    const target = name || session.name;
+    if (!isValidSessionName(target)) return console.log(`❌ Invalid session name: ${target} (use letters, digits, _ . -)`);
+    if (target === session.name) saveMemory();
+    const s = target === session.name ? session : loadSession(projectDir, target);
+    if (!s) return console.log(`❌ No session named "${target}"`);
+
+    // The transcript has every turn, including ones since condensed into notes
+    const transcript = readTranscript(projectDir, target);
+    const entries = transcript.length > 0 ? transcript : s.messages.slice(1).map(m => ({ role: m.role, content: messageText(m) }));
+    const markdown = rest.includes("--md");
+    const file = exportPath(projectDir, target, markdown ? "md" : "json");
+    const notes = sessionNotes(s.messages);
+    fs.writeFileSync(file, markdown
+      ? sessionToMarkdown(s, entries, notes)
+      : JSON.stringify({ ...s, messages: undefined, notes, transcript: entries }, null, 2));
+    console.log(chalk.green(`\n✓ Exported session "${target}" (${entries.length} message(s)) to ${file}\n`));
+    return;
+  }
+
+  console.log(SESSION_USAGE);
+}
+
+/* ================= MAIN LOOP ================= */
+
+console.log(`\nModel: ${modelConfig.name} (${modelConfig.id}) @ ${modelConfig.baseURL}`);
+const fallbacks = fallbackChain(modelConfig.key, { projectDir });
+if (fallbacks.length > 0) console.log(chalk.gray(`Fallbacks: ${fallbacks.map(m => m.key).join(" → ")}`));
+console.log(`Project: ${detectProjectType(projectDir)} — ${projectDir}`);
+
+if (headless) {
+  const input = !cli.prompt || cli.prompt === "-" ? await readStdin() : cli.prompt;
+  if (!input) {
+    console.error("❌ No prompt given (use --prompt or pipe it on stdin).");
+    process.exit(EXIT.ERROR);
+  }
+  console.log(`\nYou: ${input}\n`);
+
+  const image = await loadImage(cli.image);
+  const result = await metered(() => cli.agent
+    ? runAgentTask(input, { autoAccept: cli.yes, dryRun: !cli.yes })
+    : runRequest(input, image, { autoAccept: cli.yes, dryRun: !cli.yes }));
+  if (result.stepLimit) process.exit(EXIT.INCOMPLETE);
+  if (!result.ok) process.exit(EXIT.ERROR);
+  if (!cli.yes) process.exit(EXIT.NO_CHANGES);
+
+  // Nothing was written, so there is nothing to verify
+  if (result.applied === 0) process.exit(EXIT.NO_CHANGES);
+  if (cli["no-build"]) process.exit(EXIT.OK);
+
+  const passed = await metered(() => selfDebugLoop(projectDir, messages));
+  process.exit(passed === false ? EXIT.BUILD_FAILED : EXIT.OK);
+}
+
+reviewMode = cli.review;
+console.log("Type 'exit' to quit\n");
+
+while (true) {
+  const input = await ask("You: ", { completer: mentionCompleter });
+  if (!input || input.toLowerCase() === "exit") break;
+
+  // Handle /build [stages | auto | <cmd>]
+  if (input.startsWith("/build")) {
+    const customCmd = input.slice(6).trim();
+    if (customCmd === "stages") {
+      showStages(projectDir);
+      continue;
+    }
+    if (customCmd === "auto") {
+      customBuildCmd = null;
+      console.log("\n✓ Build command cleared — using the verification pipeline");
+      showStages(projectDir);
+      continue;
+    }
+    if (customCmd) {
+      customBuildCmd = customCmd;
+      console.log(`\n✓ Build command set: ${customBuildCmd} (/build auto to go back to the pipeline)`);
+    }
+    await metered(() => selfDebugLoop(projectDir, messages));
+    continue;
+  }
+
+  // Handle /review [on|off]: toggle staged review
+  const reviewMatch = input.match(/^\/review(?:\s+(on|off))?$/);
+  if (reviewMatch) {
+    reviewMode = reviewMatch[1] ? reviewMatch[1] === "on" : !reviewMode;
+    console.log(`\n✓ Staged review ${reviewMode ? "on — changes are shown before they are written" : "off"}`);
+    continue;
+  }
+
+  // Handle /apply [strict|best-effort]: how invalid entries in a response are handled
+  const applyMatch = input.match(/^\/apply(?:\s+(strict|best-effort))?$/);
+  if (applyMatch) {
+    if (applyMatch[1]) applyMode = applyMatch[1];
+    console.log(`\n✓ Apply mode: ${applyMode} — ${applyMode === "strict" ? "any invalid edit cancels the whole response" : "valid changes are written, invalid ones skipped"}`);
+    continue;
+  }
+
+  // Handle /undo [n], /redo, /history
+  const undoMatch = input.match(/^\/undo(?:\s+(\d+))?$/);
+  if (undoMatch) {
+    undoTurns(projectDir, parseInt(undoMatch[1] || "1", 10));
+    continue;
+  }
+  if (input === "/redo") {
+    redoTurn(projectDir);
+    continue;
+  }
+  if (input === "/history") {
+    showHistory(projectDir);
+    continue;
+  }
+
+  // Handle /context: show included vs. excluded files
+  if (input === "/context") {
+    showContextReport(projectDir);
+    continue;
+  }
+
+  // Handle /session [list|new|switch|fork|export]
+  if (input === "/session" || input.startsWith("/session ")) {
+    sessionCommand(input.slice(8).trim().split(/\s+/).filter(Boolean));
+    continue;
+  }
+
+  // Handle /rules [reload]: show or re-read DEVAI.md
+  const rulesMatch = input.match(/^\/rules(?:\s+(reload))?$/);
+  if (rulesMatch) {
+    if (rulesMatch[1]) {
+      reloadRules();
+      console.log(`\n✓ Reloaded ${rules.sources.length} rules file(s)`);
+    }
+    showRules();
+    continue;
+  }
+
+  // Handle /usage: token counts and cost so far
+  if (input === "/usage") {
+    showUsage();
+    continue;
+  }
+
+  // Handle /graph <file>: show a file's imports and importers
+  if (input.startsWith("/graph")) {
+    const file = input.slice(6).trim();
+    if (file) showGraph(projectDir, file);
+    else console.log("   Usage: /graph <file>");
+    continue;
+  }
+
+  // Handle /agent <task> (or every request with --agent)
+  if (input.startsWith("/agent") || cli.agent) {
+    const task = input.startsWith("/agent") ? input.slice(6).trim() : input;
+    if (!task) {
+      console.log("   Usage: /agent <task>");
+      continue;
+    }
+    await metered(() => runAgentTask(task, { autoAccept: cli.yes }));
+    continue;
+  }
+
+  // No need to ask for an image when one is already @mentioned
+  const mentionsImage = parseMentions(input).some(m => IMAGE_EXTS.has(path.extname(m).toLowerCase()));
+  const imgBase64 = mentionsImage ? null : await loadImage(await ask("Image (optional / none): "));
+  await metered(() => runRequest(input, imgBase64, { autoAccept: cli.yes }));
 }
 
 console.log("\n👋 Goodbye!\n");
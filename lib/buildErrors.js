@@ -0,0 +1,191 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Build Error Parsing
+ * Turns raw build/test output (tsc, eslint, node stack traces, jest, vitest,
+ * mocha, pytest, cargo, go) into `{ file, line, column, message }` records
+ * pointing at project files, so fixes can be given the exact lines.
+ */
+
+const MAX_ERRORS = 20;
+const MAX_MESSAGE = 300;
+
+const ANSI = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Formats that carry their own location and message
+const TSC = /^(.+?)\((\d+),(\d+)\): error (TS\d+: .+)$/;                 // src/a.ts(3,5): error TS2322: ...
+const TSC_PRETTY = /^(.+?):(\d+):(\d+) - error (TS\d+: .+)$/;             // src/a.ts:3:5 - error TS2322: ...
+const PYTEST_LOCATION = /^(.+?\.py):(\d+): (\w+|in \S+)$/;               // tests/test_a.py:12: AssertionError (or: in test_x)
+const LOCATED = /^\s*(\S+?\.\w+):(\d+):(?:(\d+):)?\s+(?:error:\s*)?(.+)$/; // go, gcc, eslint -f unix, go test
+
+// Lines that only carry a location; the message comes from nearby lines
+const ESLINT_ROW = /^\s+(\d+):(\d+)\s+error\s+(.+?)(?:\s{2,}[\w@/-]+)?$/;  // "  3:5  error  'x' is unused  no-unused-vars"
+const STACK_FRAME = /^\s*(?:at\s+(?:.*?\()?|❯\s+)(?:file:\/\/)?([^()\s]+?):(\d+):(\d+)\)?\s*$/;
+const CARGO_ARROW = /^\s*--> (.+?):(\d+):(\d+)/;
+const PY_FRAME = /^\s*File "(.+?)", line (\d+)/;
+const NODE_SYNTAX_LOCATION = /^(\/.+?\.[cm]?[jt]sx?):(\d+)$/;
+
+// Lines that carry only a message
+const ERROR_MESSAGE = /^\s*((?:[\w.]*(?:Error|Exception)|AssertionError)(?: \[[\w-]+\])?:.*|Error:.*)$/;
+const CARGO_ERROR = /^error(?:\[E\d+\])?: (.+)$/;
+const JEST_TITLE = /^\s*● (.+)$/;
+const PYTEST_DETAIL = /^E\s+(.+)$/;
+
+function clip(message) {
+  const text = message.replace(/\s+/g, " ").trim();
+  return text.length > MAX_MESSAGE ? `${text.slice(0, MAX_MESSAGE)}…` : text;
+}
+
+/**
+ * Parses build/test output into error records for files in the project.
+ * Locations outside the project (node_modules, the standard library) are dropped.
+ * @param {string} output - Combined stdout/stderr.
+ * @param {string} projectDir
+ * @param {string[]} [projectFiles] - Project-relative paths; used to resolve paths printed relative to a package (go).
+ * @returns {Array<{ file: string, line: number, column: number|null, message: string }>}
+ */
+export function parseBuildErrors(output, projectDir, projectFiles = []) {
+  const root = path.resolve(projectDir);
+  const errors = [];
+  const seen = new Set();
+
+  const resolveFile = file => {
+    const cleaned = file.trim().replace(/^file:\/\//, "");
+    const full = path.resolve(root, cleaned);
+    if (full.startsWith(root + path.sep) && !full.includes(`${path.sep}node_modules${path.sep}`) && fs.existsSync(full) && fs.statSync(full).isFile()) {
+      return path.relative(root, full).split(path.sep).join("/");
+    }
+    // go prints paths relative to the package directory: accept a unique suffix match
+    const rel = cleaned.replace(/^\.\//, "");
+    const hits = projectFiles.filter(p => p === rel || p.endsWith(`/${rel}`));
+    return hits.length === 1 ? hits[0] : null;
+  };
+
+  const add = (file, line, column, message) => {
+    const rel = resolveFile(file);
+    if (!rel || errors.length >= MAX_ERRORS) return false;
+    const record = { file: rel, line: Number(line), column: column ? Number(column) : null, message: clip(message || "Error") };
+    const key = `${record.file}:${record.line}:${record.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      errors.push(record);
+    }
+    return true;
+  };
+
+  let message = "";         // Latest error message, for location-only lines
+  let frameTaken = false;   // Only the innermost project frame of each stack trace is kept
+  let jestTitle = null;     // A jest failure title waiting for its first detail line
+  let eslintFile = null;    // The file heading an eslint "stylish" block
+  let pyFrames = [];        // Python traceback frames, innermost last
+  let pytestDetail = [];    // pytest "E   ..." lines before their location
+  let syntaxLocation = null; // node's "file:line" header above a SyntaxError
+
+  const setMessage = text => {
+    message = text;
+    frameTaken = false;
+    if (syntaxLocation) {
+      add(syntaxLocation.file, syntaxLocation.line, null, text);
+      syntaxLocation = null;
+      frameTaken = true;
+    }
+    if (pyFrames.length > 0) {
+      // The innermost frame inside the project is where to look
+      const frame = [...pyFrames].reverse().find(f => resolveFile(f.file));
+      if (frame) add(frame.file, frame.line, null, text);
+      pyFrames = [];
+      frameTaken = true;
+    }
+  };
+
+  for (const raw of output.replace(ANSI, "").split(/\r?\n/)) {
+    const line = raw.replace(/\s+$/, "");
+    if (!line.trim()) continue;
+    let m;
+
+    if (jestTitle !== null && !JEST_TITLE.test(line)) {
+      setMessage(`${jestTitle}: ${line.trim()}`);
+      jestTitle = null;
+      continue;
+    }
+
+    if ((m = line.match(TSC)) || (m = line.match(TSC_PRETTY))) {
+      add(m[1], m[2], m[3], m[4]);
+    } else if ((m = line.match(JEST_TITLE))) {
+      jestTitle = m[1].trim();
+    } else if ((m = line.match(PY_FRAME))) {
+      pyFrames.push({ file: m[1], line: m[2] });
+    } else if ((m = line.match(PYTEST_DETAIL))) {
+      pytestDetail.push(m[1]);
+    } else if ((m = line.match(PYTEST_LOCATION))) {
+      // Without "E" lines above, "file:12: in test_x" is only a traceback frame, not an error
+      if (pytestDetail.length > 0 || !/^in /.test(m[3])) add(m[1], m[2], null, pytestDetail.length ? pytestDetail.join(" ") : m[3]);
+      pytestDetail = [];
+    } else if ((m = line.match(CARGO_ERROR))) {
+      setMessage(m[1]);
+    } else if (/^warning(?:\[\w+\])?:/.test(line)) {
+      message = "";
+      frameTaken = true; // Skip the warning's --> location
+    } else if ((m = line.match(CARGO_ARROW))) {
+      if (!frameTaken && message) frameTaken = add(m[1], m[2], m[3], message);
+    } else if ((m = line.match(STACK_FRAME))) {
+      if (!frameTaken) frameTaken = add(m[1], m[2], m[3], message);
+    } else if ((m = line.match(ESLINT_ROW))) {
+      if (eslintFile) add(eslintFile, m[1], m[2], m[3]);
+    } else if ((m = line.match(NODE_SYNTAX_LOCATION))) {
+      syntaxLocation = { file: m[1], line: m[2] };
+    } else if ((m = line.match(ERROR_MESSAGE))) {
+      setMessage(m[1]);
+    } else if ((m = line.match(LOCATED)) && !/^\s*warning\b/i.test(m[4])) {
+      add(m[1], m[2], m[3], m[4]);
+    } else if (!/^\s/.test(line) && resolveFile(line)) {
+      eslintFile = line.trim();
+    }
+  }
+  return errors;
+}
+
+/**
+ * Line ranges around each error, merged per file.
+ * @param {Array<{ file: string, line: number }>} errors
+ * @param {{ radius?: number, maxFiles?: number }} [opts]
+ * @returns {Array<{ path: string, start: number, end: number }>}
+ */
+export function errorRanges(errors, { radius = 10, maxFiles = 6 } = {}) {
+  const byFile = new Map();
+  for (const e of errors) {
+    if (!byFile.has(e.file)) {
+      if (byFile.size >= maxFiles) continue;
+      byFile.set(e.file, []);
+    }
+    byFile.get(e.file).push([Math.max(1, e.line - radius), e.line + radius]);
+  }
+  const ranges = [];
+  for (const [file, spans] of byFile) {
+    spans.sort((a, b) => a[0] - b[0]);
+    let [start, end] = spans[0];
+    for (const [s, e] of spans.slice(1)) {
+      if (s <= end + 1) end = Math.max(end, e);
+      else {
+        ranges.push({ path: file, start, end });
+        [start, end] = [s, e];
+      }
+    }
+    ranges.push({ path: file, start, end });
+  }
+  return ranges;
+}
+
+/**
+ * Identity of an error across attempts. Line numbers are left out since
+ * fixes shift code; numbers inside the message are kept.
+ */
+export function errorSignature(error) {
+  return `${error.file}|${error.message.toLowerCase()}`;
+}
+
+/** Identity of unparsed output: its text with numbers, paths and timings blurred. */
+export function outputSignature(output) {
+  return output.replace(ANSI, "").replace(/\d+(\.\d+)?\s*m?s\b/g, "").replace(/\d+/g, "#").replace(/\s+/g, " ").trim().slice(0, 500);
+}
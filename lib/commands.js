@@ -0,0 +1,121 @@
+import { spawn } from "child_process";
+
+/**
+ * Command Runner
+ * Policy checks and live execution for the shell commands a model lists in
+ * "instructions". Built-in rules block destructive and download-and-execute
+ * commands; `"commands": { "allow", "deny" }` in devai.config.json adds
+ * patterns (`*` wildcards, or `/regex/`).
+ */
+
+export const DEFAULT_TIMEOUT = 300; // Seconds per command
+const MAX_OUTPUT = 20000;          // Characters kept per command (the tail)
+
+// Recursive rm of /, ~, $HOME, . or .. (with or without a trailing /*)
+const RM_TARGET = String.raw`["']?(?:\/|~|\$HOME|\$\{HOME\}|\.\.?)\/?\*?["']?(?=\s|$|[;&|])`;
+
+export const BUILTIN_DENY = [
+  { re: new RegExp(String.raw`\brm\s+(?:-[\w-]+\s+)*(?:-\w*[rR]\w*|--recursive)\s+(?:-[\w-]+\s+)*` + RM_TARGET), reason: "recursive delete of the root, home or project folder" },
+  { re: /\b(?:curl|wget|fetch)\b[^|;&]*\|\s*(?:sudo\s+)?(?:\w+\/)*(?:ba|z|da|k|fi)?sh\b/, reason: "piping a download into a shell" },
+  { re: /\b(?:curl|wget)\b[^|;&]*\|\s*(?:sudo\s+)?(?:python\d?|node|perl|ruby)\b/, reason: "piping a download into an interpreter" },
+  { re: /(?:ba|z)?sh\s+(?:-c\s+)?["']?\$\(\s*(?:curl|wget)\b/, reason: "executing a download" },
+  { re: /(?:\b(?:(?:ba|z|da|k|fi)?sh|source|python\d?|node|perl|ruby)|(?:^|[;&|]\s*)\.)\s+(?:-\S+\s+)*<\(\s*(?:curl|wget)\b/, reason: "executing a download (process substitution)" },
+  { re: /(?:^|[;&|]\s*)sudo\b/, reason: "privilege escalation (sudo)" },
+  { re: /\bmkfs(?:\.\w+)?\b|\bdd\b[^;&|]*\bof=\/dev\/|>\s*\/dev\/(?:sd|nvme|hd|disk)\w*/, reason: "writing to a disk device" },
+  { re: /:\s*\(\s*\)\s*\{[^}]*:\s*\|\s*:/, reason: "fork bomb" },
+  { re: /\bch(?:mod|own)\s+(?:-\w+\s+)*-\w*R\w*\s+\S+\s+\/(?:\s|$)/, reason: "recursive permission change on /" },
+  { re: /(?:^|[;&|]\s*)(?:shutdown|reboot|halt|poweroff)\b/, reason: "shutting down the machine" },
+];
+
+// Shell operators that chain or redirect: an allow-listed prefix says nothing about the rest
+const COMPOUND = /[;&|`<>]|\$\(/;
+
+function patternToRegex(pattern) {
+  const m = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (m) return new RegExp(m[1], m[2]);
+  return new RegExp(`^${pattern.trim().split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+}
+
+/** True if a command matches an allow/deny pattern ("npm install *", "/^git (status|diff)/"). */
+export function matchesPattern(command, pattern) {
+  try {
+    return patternToRegex(pattern).test(command.trim());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decides whether a command may run.
+ * @param {string} command
+ * @param {{ allow?: string[], deny?: string[], exact?: string[] }} [policy] - exact: commands
+ *   approved verbatim (never read as patterns), e.g. answered "always" at the prompt.
+ * @returns {{ verdict: "deny"|"allow"|"ask", reason: string }}
+ *   deny: never run; allow: run without asking; ask: needs the user's approval.
+ */
+export function checkCommand(command, { allow = [], deny = [], exact = [] } = {}) {
+  const builtin = BUILTIN_DENY.find(r => r.re.test(command));
+  if (builtin) return { verdict: "deny", reason: builtin.reason };
+  const denied = deny.find(p => matchesPattern(command, p));
+  if (denied) return { verdict: "deny", reason: `matches deny pattern "${denied}"` };
+  if (exact.includes(command.trim())) return { verdict: "allow", reason: "allowed earlier this session" };
+  const allowed = !COMPOUND.test(command) && allow.find(p => matchesPattern(command, p));
+  if (allowed) return { verdict: "allow", reason: `matches allow pattern "${allowed}"` };
+  return { verdict: "ask", reason: "" };
+}
+
+/**
+ * Runs a shell command, streaming its output as it arrives. Ctrl+C stops
+ * the command instead of DevAI.
+ * @param {string} command
+ * @param {string} cwd
+ * @param {{ timeout?: number, onOutput?: (chunk: string) => void }} [opts] - timeout in seconds.
+ * @returns {Promise<{ code: number|null, output: string, timedOut: boolean, interrupted: boolean, seconds: number }>}
+ *   output is the combined stdout/stderr tail.
+ */
+export function runCommand(command, cwd, { timeout = DEFAULT_TIMEOUT, onOutput = () => {} } = {}) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    let output = "", timedOut = false, interrupted = false;
+    // Own process group, so a timeout or Ctrl+C stops everything the command started
+    const child = spawn(command, { cwd, shell: true, detached: true, stdio: ["ignore", "pipe", "pipe"] });
+    const kill = signal => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch {}
+    };
+
+    const collect = data => {
+      const text = data.toString();
+      onOutput(text);
+      output = (output + text).slice(-MAX_OUTPUT);
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill("SIGTERM");
+      setTimeout(() => kill("SIGKILL"), 5000).unref();
+    }, timeout * 1000);
+    const onSigint = () => {
+      interrupted = true;
+      kill("SIGINT");
+    };
+    process.on("SIGINT", onSigint);
+
+    let finished = false;
+    const done = code => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      process.off("SIGINT", onSigint);
+      resolve({ code, output, timedOut, interrupted, seconds: (Date.now() - started) / 1000 });
+    };
+    child.on("error", e => {
+      output += e.message;
+      done(null);
+    });
+    child.on("close", done);
+  });
+}
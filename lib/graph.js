@@ -0,0 +1,116 @@
+import path from "path";
+
+/**
+ * Import Graph
+ * Parses ES module imports, CommonJS require() and Python imports to link
+ * project files to the modules they use and the files that use them.
+ */
+
+const JS_EXTS = new Set([".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", ".vue", ".svelte"]);
+const RESOLVE_EXTS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", ".json", ".vue", ".svelte", ".css", ".scss"];
+
+const JS_PATTERNS = [
+  /\bimport\s+(?:[\w*${}\s,]+?\s+from\s+)?["']([^"']+)["']/g, // import x from "a", import "a"
+  /\bexport\s+(?:\*|\{[^}]*\})(?:\s+as\s+\w+)?\s+from\s+["']([^"']+)["']/g, // export { x } from "a"
+  /\bimport\s*\(\s*["']([^"']+)["']\s*\)/g, // import("a")
+  /\brequire\s*\(\s*["']([^"']+)["']\s*\)/g, // require("a")
+];
+
+/**
+ * Lists the module specifiers a file imports, as written.
+ * @returns {string[]} e.g. ["./utils", "react"] or [".models", "app.views"] for Python.
+ */
+export function parseImports(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  const specs = new Set();
+
+  if (JS_EXTS.has(ext)) {
+    for (const re of JS_PATTERNS) {
+      for (const m of content.matchAll(re)) specs.add(m[1]);
+    }
+  } else if (ext === ".py") {
+    for (const m of content.matchAll(/^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+\(?([\w \t,*]+)/gm)) {
+      const [, mod, names] = m;
+      specs.add(mod);
+      // "from . import utils" / "from pkg import module" may name submodules
+      for (const name of names.split(",").map(n => n.trim().split(/\s+/)[0]).filter(n => n && n !== "*")) {
+        specs.add(mod.endsWith(".") ? `${mod}${name}` : `${mod}.${name}`);
+      }
+    }
+    for (const m of content.matchAll(/^[ \t]*import[ \t]+([\w.]+(?:[ \t]*,[ \t]*[\w.]+)*)/gm)) {
+      m[1].split(",").forEach(s => specs.add(s.trim()));
+    }
+  }
+  return [...specs];
+}
+
+function resolveJs(fromPath, spec, fileSet) {
+  if (!spec.startsWith(".") && !spec.startsWith("/")) return null; // package import
+  const base = path.posix.normalize(spec.startsWith("/") ? spec.slice(1) : path.posix.join(path.posix.dirname(fromPath), spec));
+  const candidates = [base, ...RESOLVE_EXTS.map(e => base + e), ...RESOLVE_EXTS.map(e => `${base}/index${e}`)];
+  // TypeScript sources are often imported with a .js extension
+  if (/\.jsx?$/.test(base)) candidates.push(base.replace(/\.js(x?)$/, ".ts$1"));
+  return candidates.find(c => fileSet.has(c)) || null;
+}
+
+function resolvePython(fromPath, spec, fileSet) {
+  const dots = spec.match(/^\.*/)[0].length;
+  const rest = spec.slice(dots).replace(/\./g, "/");
+  let dir = "";
+  if (dots > 0) {
+    dir = path.posix.dirname(fromPath);
+    for (let i = 1; i < dots; i++) dir = path.posix.dirname(dir);
+    if (dir === ".") dir = "";
+  }
+  const base = [dir, rest].filter(Boolean).join("/");
+  if (!base) return null;
+  const candidates = [`${base}.py`, `${base}/__init__.py`];
+  // Absolute imports may also be relative to a src/ layout
+  if (dots === 0) candidates.push(`src/${base}.py`, `src/${base}/__init__.py`);
+  return candidates.find(c => fileSet.has(c)) || null;
+}
+
+/** Resolves a specifier to a project file path, or null for packages and unknown modules. */
+export function resolveImport(fromPath, spec, fileSet) {
+  return path.extname(fromPath).toLowerCase() === ".py"
+    ? resolvePython(fromPath, spec, fileSet)
+    : resolveJs(fromPath, spec, fileSet);
+}
+
+/**
+ * Builds the project's dependency graph.
+ * @param {Array<{ path: string, content: string }>} files - From collectFiles().
+ * @returns {{ imports: Map<string, Set<string>>, importers: Map<string, Set<string>>, external: Map<string, Set<string>> }}
+ *   imports/importers link project files; external holds unresolved specifiers (packages) per file.
+ */
+export function buildImportGraph(files) {
+  const fileSet = new Set(files.map(f => f.path));
+  const imports = new Map(), importers = new Map(), external = new Map();
+  for (const f of files) {
+    imports.set(f.path, new Set());
+    importers.set(f.path, importers.get(f.path) || new Set());
+    external.set(f.path, new Set());
+  }
+
+  for (const f of files) {
+    for (const spec of parseImports(f.path, f.content)) {
+      const target = resolveImport(f.path, spec, fileSet);
+      if (target === f.path) continue;
+      if (target) {
+        imports.get(f.path).add(target);
+        importers.get(target).add(f.path);
+      } else if (f.path.endsWith(".py")) {
+        // Python: report the top-level package; unresolved relative imports are submodule guesses
+        if (!spec.startsWith(".")) external.get(f.path).add(spec.split(".")[0]);
+      } else {
+        external.get(f.path).add(spec);
+      }
+    }
+  }
+  return { imports, importers, external };
+}
+
+/** Direct imports and importers of a file. */
+export function neighbors(graph, filePath) {
+  return new Set([...(graph.imports.get(filePath) || []), ...(graph.importers.get(filePath) || [])]);
+}
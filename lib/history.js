@@ -0,0 +1,221 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { execSync, execFileSync } from "child_process";
+
+/**
+ * Undo History
+ * One checkpoint per AI turn, recording the before/after contents of only the
+ * files that turn touched. Contents are stored as git blobs pinned by hidden
+ * refs (refs/devai/checkpoints/<id>) in git repos, or under .devai/objects/
+ * otherwise. The stack itself lives in .devai/history.json.
+ */
+
+export const DEVAI_DIR = ".devai";
+const HISTORY_FILE = "history.json";
+const MAX_ENTRIES = 50;
+
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: "DevAI",
+  GIT_AUTHOR_EMAIL: "devai@localhost",
+  GIT_COMMITTER_NAME: "DevAI",
+  GIT_COMMITTER_EMAIL: "devai@localhost",
+};
+
+/** Creates .devai/ with a .gitignore so it never shows up in `git status`. */
+export function ensureDevaiDir(projectDir) {
+  const dir = path.join(projectDir, DEVAI_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const ignore = path.join(dir, ".gitignore");
+  if (!fs.existsSync(ignore)) fs.writeFileSync(ignore, "*\n");
+  return dir;
+}
+
+function isGitRepo(projectDir) {
+  try {
+    execSync("git rev-parse --is-inside-work-tree", { cwd: projectDir, stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Same id git would give the content, so both stores share one naming scheme. */
+function blobId(content) {
+  return crypto.createHash("sha1").update(`blob ${content.length}\0`).update(content).digest("hex");
+}
+
+function readCurrent(fullPath) {
+  try { return fs.readFileSync(fullPath); } catch { return null; }
+}
+
+function storeBlob(projectDir, content, store) {
+  if (store === "git") {
+    return execSync("git hash-object -w --stdin", { cwd: projectDir, input: content }).toString().trim();
+  }
+  const id = blobId(content);
+  const file = path.join(projectDir, DEVAI_DIR, "objects", id);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  return id;
+}
+
+function readBlob(projectDir, id, store) {
+  if (store === "git") return execSync(`git cat-file blob ${id}`, { cwd: projectDir, maxBuffer: 64 * 1024 * 1024 });
+  return fs.readFileSync(path.join(projectDir, DEVAI_DIR, "objects", id));
+}
+
+/** Pins an entry's blobs with a commit under refs/devai so `git gc` keeps them. */
+function pinEntry(projectDir, entry) {
+  const indexFile = path.join(projectDir, DEVAI_DIR, "pin.index");
+  const env = { ...process.env, ...GIT_IDENTITY, GIT_INDEX_FILE: indexFile };
+  try {
+    fs.rmSync(indexFile, { force: true });
+    for (const f of entry.files) {
+      for (const side of ["before", "after"]) {
+        if (f[side]) execFileSync("git", ["update-index", "--add", "--cacheinfo", `100644,${f[side]},${side}/${f.path}`], { cwd: projectDir, env });
+      }
+    }
+    const tree = execSync("git write-tree", { cwd: projectDir, env }).toString().trim();
+    const commit = execSync(`git commit-tree ${tree}`, { cwd: projectDir, env, input: `DevAI checkpoint ${entry.id}: ${entry.label}` }).toString().trim();
+    execSync(`git update-ref refs/devai/checkpoints/${entry.id} ${commit}`, { cwd: projectDir });
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+function unpinEntry(projectDir, entry) {
+  if (entry.store !== "git") return;
+  try { execSync(`git update-ref -d refs/devai/checkpoints/${entry.id}`, { cwd: projectDir, stdio: "ignore" }); } catch {}
+}
+
+/**
+ * Reads the checkpoint stack. `pointer` is the number of entries currently
+ * applied; entries at or after it have been undone and can be redone.
+ * @returns {{ pointer: number, entries: object[] }}
+ */
+export function loadHistory(projectDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(projectDir, DEVAI_DIR, HISTORY_FILE), "utf8"));
+    if (Array.isArray(data.entries)) return { pointer: data.pointer ?? data.entries.length, entries: data.entries };
+  } catch {}
+  return { pointer: 0, entries: [] };
+}
+
+function saveHistory(projectDir, history) {
+  ensureDevaiDir(projectDir);
+  fs.writeFileSync(path.join(projectDir, DEVAI_DIR, HISTORY_FILE), JSON.stringify(history, null, 2));
+}
+
+/**
+ * Starts recording a turn. Call trackFile() before each write, then commitCheckpoint().
+ * @param {string} projectDir
+ * @param {string} label - Shown in /history (usually the user's request).
+ */
+export function beginCheckpoint(projectDir, label) {
+  return { projectDir, label, before: new Map() };
+}
+
+/** Remembers a file's content before its first write in this turn. */
+export function trackFile(checkpoint, relPath) {
+  const key = relPath.split(path.sep).join("/");
+  if (checkpoint.before.has(key)) return;
+  checkpoint.before.set(key, readCurrent(path.join(checkpoint.projectDir, key)));
+}
+
+/**
+ * Stores the turn on the stack (dropping any redo entries past the pointer).
+ * @returns {object|null} The new entry, or null if no tracked file changed.
+ */
+export function commitCheckpoint(checkpoint) {
+  const { projectDir, label } = checkpoint;
+  const changed = [];
+  for (const [rel, before] of checkpoint.before) {
+    const after = readCurrent(path.join(projectDir, rel));
+    if (before === null && after === null) continue;
+    if (before !== null && after !== null && before.equals(after)) continue;
+    changed.push({ rel, before, after });
+  }
+  if (changed.length === 0) return null;
+
+  ensureDevaiDir(projectDir);
+  const store = isGitRepo(projectDir) ? "git" : "files";
+  const entry = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(2).toString("hex")}`,
+    label: label.replace(/\s+/g, " ").slice(0, 80),
+    time: new Date().toISOString(),
+    store,
+    files: changed.map(({ rel, before, after }) => ({
+      path: rel,
+      before: before === null ? null : storeBlob(projectDir, before, store),
+      after: after === null ? null : storeBlob(projectDir, after, store),
+    })),
+  };
+  if (store === "git") {
+    try { pinEntry(projectDir, entry); } catch {}
+  }
+
+  const history = loadHistory(projectDir);
+  history.entries.slice(history.pointer).forEach(e => unpinEntry(projectDir, e));
+  history.entries = [...history.entries.slice(0, history.pointer), entry];
+  while (history.entries.length > MAX_ENTRIES) unpinEntry(projectDir, history.entries.shift());
+  history.pointer = history.entries.length;
+  saveHistory(projectDir, history);
+  return entry;
+}
+
+/**
+ * Moves every file of an entry to one side (before = undo, after = redo).
+ * Files edited by hand since are left alone and reported as conflicts.
+ */
+function restoreEntry(projectDir, entry, from, to) {
+  const restored = [], conflicts = [];
+  for (const f of entry.files) {
+    const fullPath = path.join(projectDir, f.path);
+    const current = readCurrent(fullPath);
+    const currentId = current === null ? null : blobId(current);
+    if (currentId === f[to]) continue; // already in the target state
+    if (currentId !== f[from]) {
+      conflicts.push(f.path);
+      continue;
+    }
+    if (f[to] === null) {
+      fs.rmSync(fullPath, { force: true });
+    } else {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, readBlob(projectDir, f[to], entry.store));
+    }
+    restored.push(f.path);
+  }
+  return { entry, restored, conflicts };
+}
+
+/**
+ * Undoes the last `n` applied turns, newest first.
+ * @returns {Array<{ entry: object, restored: string[], conflicts: string[] }>}
+ */
+export function undo(projectDir, n = 1) {
+  const history = loadHistory(projectDir);
+  const results = [];
+  while (n-- > 0 && history.pointer > 0) {
+    history.pointer--;
+    results.push(restoreEntry(projectDir, history.entries[history.pointer], "after", "before"));
+  }
+  saveHistory(projectDir, history);
+  return results;
+}
+
+/**
+ * Re-applies the most recently undone turn.
+ * @returns {{ entry: object, restored: string[], conflicts: string[] } | null}
+ */
+export function redo(projectDir) {
+  const history = loadHistory(projectDir);
+  if (history.pointer >= history.entries.length) return null;
+  const result = restoreEntry(projectDir, history.entries[history.pointer], "before", "after");
+  history.pointer++;
+  saveHistory(projectDir, history);
+  return result;
+}
@@ -0,0 +1,114 @@
+/**
+ * Ignore Rules
+ * Minimal .gitignore-compatible matcher used by collectFiles.
+ * Supports comments, negation (!), directory-only patterns (dir/),
+ * anchored patterns (/build, src/gen) and *, ?, [abc], ** globs.
+ */
+
+function escapeRegex(c) {
+  return c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Converts a gitignore-style glob to a regex source string (no anchors).
+ * `*` and `?` never cross `/`; `**` spans directories.
+ * @param {string} glob
+ * @returns {string}
+ */
+export function globToRegex(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        const atSegmentStart = i === 0 || glob[i - 1] === "/";
+        if (atSegmentStart && glob[i + 2] === "/") {
+          re += "(?:.*/)?"; // "**/" — zero or more directories
+          i += 2;
+        } else {
+          re += ".*";       // "/**" or "a**b" — anything, slashes included
+          i++;
+        }
+        continue;
+      }
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[") {
+      const end = glob.indexOf("]", i + 2);
+      if (end === -1) {
+        re += "\\[";
+      } else {
+        let cls = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+        if (cls[0] === "!") cls = "^" + cls.slice(1);
+        re += `[${cls}]`;
+        i = end;
+      }
+    } else if (c === "\\" && i + 1 < glob.length) {
+      re += escapeRegex(glob[++i]);
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * Parses the text of an ignore file into rules.
+ * @param {string} text - File contents.
+ * @param {{ base?: string, source?: string }} [opts] - base is the directory
+ *   (relative to the project, "/"-separated) the file lives in.
+ * @returns {Array<{ pattern: string, negate: boolean, dirOnly: boolean, base: string, source: string, line: number, regex: RegExp }>}
+ */
+export function parseIgnoreFile(text, { base = "", source = ".gitignore" } = {}) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    let line = raw.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) return;
+
+    let negate = false;
+    if (line.startsWith("!")) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith("\\!") || line.startsWith("\\#")) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith("/")) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, "");
+    }
+    if (!line) return;
+
+    // A slash anywhere but the end anchors the pattern to the ignore file's directory
+    const anchored = line.includes("/");
+    if (line.startsWith("/")) line = line.slice(1);
+
+    const body = globToRegex(line);
+    const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+    rules.push({ pattern: raw.trim(), negate, dirOnly, base, source, line: idx + 1, regex });
+  });
+  return rules;
+}
+
+/**
+ * Finds the last rule that matches a path (gitignore semantics: last match wins).
+ * @param {ReturnType<typeof parseIgnoreFile>} rules
+ * @param {string} relPath - Project-relative path using "/" separators.
+ * @param {boolean} isDir
+ * @returns {{ ignored: boolean, rule: object } | null} null when no rule matches.
+ */
+export function matchIgnore(rules, relPath, isDir) {
+  let result = null;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    let sub = relPath;
+    if (rule.base) {
+      if (!relPath.startsWith(rule.base + "/")) continue;
+      sub = relPath.slice(rule.base.length + 1);
+    }
+    if (rule.regex.test(sub)) result = { ignored: !rule.negate, rule };
+  }
+  return result;
+}
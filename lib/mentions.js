@@ -0,0 +1,81 @@
+import fs from "fs";
+import path from "path";
+import { globToRegex } from "./ignore.js";
+
+/**
+ * File Mentions
+ * Files (`@src/App.jsx`), folders (`@src/components/`) and globs mentioned
+ * in a request are forced into context; `@mockups/home.png` attaches an image.
+ */
+
+export const IMAGE_EXTS = new Set([".png", ".jpg", ".jpeg", ".webp", ".gif", ".avif", ".tiff"]);
+
+// "@" at the start or after whitespace, so emails (a@b.com) are not mentions
+const MENTION = /(?:^|\s)@([^\s@]+)/g;
+
+/** Lists the paths mentioned in a request, e.g. ["src/App.jsx", "src/components/"]. */
+export function parseMentions(input) {
+  return [...new Set([...input.matchAll(MENTION)]
+    .map(m => m[1].replace(/[,;:!?)"'`]+$/, "").replace(/\.$/, "").replace(/\\/g, "/").replace(/^\.\//, ""))
+    .filter(Boolean))];
+}
+
+/**
+ * Resolves mentions against the project's files.
+ * @param {string} projectDir
+ * @param {string[]} mentions - From parseMentions().
+ * @param {Array<{ path: string }>} files - From collectFiles().
+ * @returns {{ files: string[], images: string[], resolved: Array<{ mention: string, count: number }>, unmatched: string[] }}
+ *   files/images are project-relative paths; resolved counts files per mention.
+ */
+export function resolveMentions(projectDir, mentions, files) {
+  const paths = files.map(f => f.path);
+  const out = { files: [], images: [], resolved: [], unmatched: [] };
+  const add = (mention, matches) => {
+    if (matches.length === 0) return out.unmatched.push(mention);
+    out.resolved.push({ mention, count: matches.length });
+    for (const p of matches) if (!out.files.includes(p)) out.files.push(p);
+  };
+
+  for (const mention of mentions) {
+    const fullPath = path.resolve(projectDir, mention);
+    if (!fullPath.startsWith(path.resolve(projectDir) + path.sep)) {
+      out.unmatched.push(mention);
+    } else if (/[*?[]/.test(mention)) {
+      const re = new RegExp(`^${globToRegex(mention)}$`);
+      add(mention, paths.filter(p => re.test(p)));
+    } else if (paths.includes(mention)) {
+      add(mention, [mention]);
+    } else if (IMAGE_EXTS.has(path.extname(mention).toLowerCase()) && fs.existsSync(fullPath)) {
+      out.resolved.push({ mention, count: 1 });
+      out.images.push(mention);
+    } else {
+      // A folder: everything under it
+      const prefix = `${mention.replace(/\/+$/, "")}/`;
+      add(mention, paths.filter(p => p.startsWith(prefix)));
+    }
+  }
+  return out;
+}
+
+/**
+ * readline completer for @mentions: completes the last word of the line
+ * from the project's files and folders.
+ * @param {string} line
+ * @param {string[]} paths - Project-relative file paths.
+ * @returns {[string[], string]}
+ */
+export function completeMention(line, paths) {
+  const word = line.match(/(?:^|\s)(@[^\s@]*)$/)?.[1];
+  if (!word) return [[], line];
+  const typed = word.slice(1);
+
+  // Offer the next path segment: folders end with "/" so completion can continue
+  const options = new Set();
+  for (const p of paths) {
+    if (!p.startsWith(typed)) continue;
+    const slash = p.indexOf("/", typed.length);
+    options.add(`@${slash === -1 ? p : p.slice(0, slash + 1)}`);
+  }
+  return [[...options].sort(), word];
+}
@@ -0,0 +1,110 @@
+import path from "path";
+
+/**
+ * Symbol Outlines
+ * Line-numbered structural summaries (functions, classes, methods, React
+ * components, CSS selectors) shown in place of files that don't fit the
+ * context budget, so the model can ask for exact line ranges.
+ */
+
+const JS_EXTS = new Set([".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", ".vue", ".svelte"]);
+const CSS_EXTS = new Set([".css", ".scss", ".sass", ".less"]);
+const MAX_LINE = 120;
+const NOT_METHODS = new Set(["if", "for", "while", "switch", "catch", "function", "return", "with", "else"]);
+
+const JS_TOP = [
+  /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*(\w+)/, // function foo()
+  /^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+(\w+)/, // class Foo
+  /^(?:export\s+)?(?:const|let|var)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|\w+)\s*(?::[^=]+)?=>/, // const foo = () =>
+  /^(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?function\b/, // const foo = function
+  /^(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*(?:React\.)?(?:memo|forwardRef)\s*\(/, // const Foo = memo(...)
+  /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+(\w+)/, // TS declarations
+  /^export\s+default\s+(\w+)/, // export default Foo
+  /^(module\.exports|exports\.\w+)\s*=/, // CommonJS
+];
+
+const JS_METHOD = /^(?:(?:public|private|protected|static|readonly|override|async|get|set)\s+)*(?:\*\s*)?#?(\w+)\s*(?:<[^>]*>)?\s*\([^)]*\)?/;
+
+/** Text of a declaration line without its body. */
+function signature(line) {
+  const text = line.trim().replace(/\s*\{.*\}\s*;?$|\s*\{\s*$/, "").replace(/\s*=>\s*\{?\s*$/, " =>");
+  return text.length > MAX_LINE ? `${text.slice(0, MAX_LINE)}…` : text;
+}
+
+/** Braces opened minus closed on a line, ignoring strings and line comments (roughly). */
+function braceDelta(line) {
+  const code = line.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, "").replace(/\/\/.*$/, "");
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+}
+
+function outlineJs(content, jsx) {
+  const out = [];
+  const classDepths = []; // Brace depth inside each open class body
+  let depth = 0;
+
+  content.split("\n").forEach((line, i) => {
+    const trimmed = line.trim();
+    while (classDepths.length > 0 && depth < classDepths[classDepths.length - 1]) classDepths.pop();
+    const inClass = classDepths.length > 0 && depth === classDepths[classDepths.length - 1];
+
+    if (depth === 0) {
+      for (const re of JS_TOP) {
+        const m = trimmed.match(re);
+        if (!m) continue;
+        const component = jsx && /^[A-Z]/.test(m[1]) && !/\bclass\b|\b(?:interface|type|enum)\s/.test(trimmed);
+        out.push(`${i + 1}: ${signature(line)}${component ? "  [component]" : ""}`);
+        if (/\bclass\s+\w+/.test(trimmed)) classDepths.push(1);
+        break;
+      }
+    } else if (inClass) {
+      const m = trimmed.match(JS_METHOD);
+      if (m && !NOT_METHODS.has(m[1]) && /\)\s*(?::[^{]+)?(?:\{.*)?$/.test(trimmed)) out.push(`${i + 1}:   ${signature(line)}`);
+    }
+    depth = Math.max(0, depth + braceDelta(line));
+  });
+  return out;
+}
+
+function outlinePython(content) {
+  const out = [];
+  content.split("\n").forEach((line, i) => {
+    const m = line.match(/^(\s*)(?:async\s+)?(?:def|class)\s+\w+/);
+    if (m && m[1].length <= 8) out.push(`${i + 1}: ${m[1]}${signature(line).replace(/:\s*$/, "")}`);
+  });
+  return out;
+}
+
+function outlineCss(content) {
+  const out = [];
+  let depth = 0;
+  content.split("\n").forEach((line, i) => {
+    const trimmed = line.trim();
+    if (depth === 0 && /^@(?:import|use|forward)\b/.test(trimmed)) out.push(`${i + 1}: ${signature(line)}`);
+    // Top-level selectors and at-rules, plus rules one level inside @media/@supports
+    if (depth <= 1 && trimmed.endsWith("{") && !trimmed.startsWith("//")) {
+      out.push(`${i + 1}: ${depth ? "  " : ""}${signature(line)}`);
+    }
+    depth = Math.max(0, depth + (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length);
+  });
+  return out;
+}
+
+/**
+ * Builds a line-numbered outline of a source file.
+ * @param {string} filePath - Used to pick the language.
+ * @param {string} content
+ * @param {{ maxEntries?: number }} [opts]
+ * @returns {string} Empty for unsupported languages or files without symbols.
+ */
+export function outlineFile(filePath, content, { maxEntries = 60 } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  let entries = [];
+  if (JS_EXTS.has(ext)) entries = outlineJs(content, /x$/.test(ext) || /<\/|\/>/.test(content));
+  else if (ext === ".py") entries = outlinePython(content);
+  else if (CSS_EXTS.has(ext)) entries = outlineCss(content);
+
+  if (entries.length > maxEntries) {
+    return [...entries.slice(0, maxEntries), `… ${entries.length - maxEntries} more symbol(s)`].join("\n");
+  }
+  return entries.join("\n");
+}
@@ -0,0 +1,119 @@
+import { parsePatch } from "diff";
+
+/**
+ * Unified Diff Patches
+ * Applies model-written unified diffs hunk by hunk. Each hunk is located near
+ * its stated line (any offset), then with whitespace-insensitive matching, then
+ * with up to MAX_FUZZ context lines dropped from each end, like `patch --fuzz`.
+ */
+
+const MAX_FUZZ = 2;
+
+const COMPARES = [
+  (a, b) => a === b,
+  (a, b) => a.trimEnd() === b.trimEnd(),
+  (a, b) => a.trim() === b.trim(),
+];
+
+/** Looks for `block` in `lines`, starting at `expected` and moving outwards. */
+function findBlock(lines, block, expected, compare) {
+  const last = lines.length - block.length;
+  if (last < 0) return -1;
+  const start = Math.min(Math.max(expected, 0), last);
+  for (let d = 0; d <= last; d++) {
+    for (const pos of d === 0 ? [start] : [start - d, start + d]) {
+      if (pos < 0 || pos > last) continue;
+      if (block.every((l, i) => compare(lines[pos + i], l))) return pos;
+    }
+  }
+  return -1;
+}
+
+function parseHunk(hunk) {
+  // Empty lines are context whose leading space was stripped (common in model output)
+  return hunk.lines
+    .filter(l => !l.startsWith("\\"))
+    .map(l => (l === "" ? { op: " ", text: "" } : { op: l[0], text: l.slice(1) }))
+    .filter(o => o.op === " " || o.op === "-" || o.op === "+");
+}
+
+function describe(hunk) {
+  if (!hunk.oldStart) return "@@ (no line numbers) @@";
+  // parsePatch stores "-N,0" as oldStart N + 1; show it as written
+  const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+  return `@@ -${oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+/**
+ * Applies a unified diff to file content.
+ * @param {string} content - Current file content ("" for a new file).
+ * @param {string} diffText - Unified diff (with or without ---/+++ headers).
+ * @returns {{ content: string, applied: Array<{ header: string, offset: number, fuzz: number }>,
+ *   failed: Array<{ header: string, reason: string, text: string }> }}
+ */
+export function applyUnifiedDiff(content, diffText) {
+  // "@@ @@" headers without numbers still parse; they just get searched for everywhere
+  const patches = parsePatch(diffText.replace(/\r\n/g, "\n"));
+  const hunks = patches.flatMap(p => p.hunks);
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lines = content === "" ? [] : content.split(/\r?\n/);
+  const applied = [], failed = [];
+  let drift = 0; // How far applied hunks have shifted later line numbers
+
+  if (hunks.length === 0) {
+    failed.push({ header: "(none)", reason: "no hunks found in diff", text: diffText.slice(0, 300) });
+  }
+
+  for (const hunk of hunks) {
+    const ops = parseHunk(hunk);
+    const header = describe(hunk);
+    const expected = hunk.oldStart ? hunk.oldStart - 1 + drift : 0;
+    let done = false;
+
+    for (let fuzz = 0; fuzz <= MAX_FUZZ && !done; fuzz++) {
+      // Drop up to `fuzz` context lines from each end
+      let lead = 0, trail = 0;
+      while (lead < fuzz && ops[lead]?.op === " ") lead++;
+      while (trail < fuzz && ops[ops.length - 1 - trail]?.op === " ") trail++;
+      if (fuzz > 0 && lead + trail === 0) break;
+      const core = ops.slice(lead, ops.length - trail);
+      const oldBlock = core.filter(o => o.op !== "+").map(o => o.text);
+      const newBlock = core.filter(o => o.op !== "-").map(o => o.text);
+
+      let pos = -1;
+      if (oldBlock.length === 0) {
+        // Pure insertion: "-N,0" means after line N, which parsePatch already turned into oldStart N + 1
+        const at = hunk.oldLines === 0 ? expected : expected + lead;
+        pos = Math.min(Math.max(at, 0), lines.length);
+      } else {
+        for (const compare of COMPARES) {
+          pos = findBlock(lines, oldBlock, expected + lead, compare);
+          if (pos !== -1) break;
+        }
+      }
+      if (pos === -1) continue;
+
+      lines.splice(pos, oldBlock.length, ...newBlock);
+      // Reported offset is relative to where earlier hunks moved this one
+      const offset = hunk.oldStart ? pos - lead - expected : 0;
+      if (hunk.oldStart) drift += offset + newBlock.length - oldBlock.length;
+      applied.push({ header, offset, fuzz });
+      done = true;
+    }
+
+    if (!done) {
+      const firstOld = ops.find(o => o.op !== "+")?.text.trim() ?? "";
+      failed.push({
+        header,
+        reason: hunk.oldStart
+          ? `context not found near line ${hunk.oldStart} (first expected line: "${firstOld.slice(0, 60)}")`
+          : `context not found (first expected line: "${firstOld.slice(0, 60)}")`,
+        text: [header, ...hunk.lines].join("\n"),
+      });
+    }
+  }
+
+  // A diff creating a file doesn't carry the final newline as a line of its own
+  const result = lines.join(eol) + (content === "" && lines.length > 0 ? eol : "");
+  return { content: result, applied, failed };
+}
@@ -0,0 +1,124 @@
+import path from "path";
+
+/**
+ * Secret Redaction
+ * Masks credentials before text is sent to a model or written to memory.
+ * Covers values in .env* files, PEM private keys, JWTs and common token formats.
+ */
+
+export const SECRET_PATTERNS = [
+  { type: "private key", regex: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY-----[\s\S]*?(?:-----END \1PRIVATE KEY-----|$)/g },
+  { type: "JWT", regex: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { type: "NVIDIA key", regex: /\bnvapi-[A-Za-z0-9_-]{20,}/g },
+  { type: "OpenAI/Anthropic key", regex: /\bsk-(?:proj-|ant-[a-z0-9]+-)?[A-Za-z0-9_-]{20,}/g },
+  { type: "GitHub token", regex: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{40,})/g },
+  { type: "Stripe key", regex: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { type: "AWS access key", regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: "Slack token", regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: "Google API key", regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+];
+
+// Env keys that are configuration, not credentials
+const SAFE_ENV_KEYS = new Set(["NODE_ENV", "PORT", "HOST", "HOSTNAME", "LOG_LEVEL", "DEBUG", "TZ", "LANG"]);
+
+const ENV_LINE = /^(\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*[=:]\s*)(.*?)\s*$/;
+
+/** True for .env, .env.local, .env.production, ... */
+export function isEnvFile(filePath = "") {
+  return /^\.env(\..+)?$/.test(path.basename(filePath));
+}
+
+/**
+ * Redacts secrets in a piece of text.
+ * @param {string} text
+ * @param {{ filePath?: string, source?: string, allowlist?: string[] }} [opts] -
+ *   filePath enables .env value masking; source labels findings (defaults to
+ *   filePath); allowlist holds env key names or exact values to keep.
+ * @returns {{ text: string, findings: Array<{ type: string, source: string }> }}
+ */
+export function redactSecrets(text, opts = {}) {
+  const { text: out, findings } = redactWithValues(text, opts);
+  return { text: out, findings };
+}
+
+// redactSecrets(), plus each placeholder with the value it replaced
+function redactWithValues(text, { filePath = "", source = filePath || "text", allowlist = [] } = {}) {
+  if (!text || typeof text !== "string") return { text, findings: [], replaced: [] };
+  const allowed = new Set(allowlist);
+  const findings = [];
+  const replaced = [];
+  let out = text;
+
+  if (isEnvFile(filePath)) {
+    out = out.split("\n").map(line => {
+      const m = line.match(ENV_LINE);
+      if (!m || line.trim().startsWith("#")) return line;
+      const [, prefix, key, value] = m;
+      const bare = value.replace(/^["']|["']$/g, "");
+      if (!bare || bare.startsWith("[REDACTED") || SAFE_ENV_KEYS.has(key) || allowed.has(key) || allowed.has(bare)) return line;
+      findings.push({ type: "env value", source });
+      replaced.push({ placeholder: `[REDACTED:${key}]`, value });
+      return `${prefix}[REDACTED:${key}]`;
+    }).join("\n");
+  }
+
+  for (const { type, regex } of SECRET_PATTERNS) {
+    out = out.replace(regex, match => {
+      if (allowed.has(match)) return match;
+      findings.push({ type, source });
+      replaced.push({ placeholder: `[REDACTED:${type}]`, value: match });
+      return `[REDACTED:${type}]`;
+    });
+  }
+
+  return { text: out, findings, replaced };
+}
+
+const PLACEHOLDER = /\[REDACTED:[^\]\n]+\]/g;
+
+/**
+ * Puts the real values back where new content for a file repeats the
+ * placeholders the model was shown, so writing it can't replace secrets
+ * with "[REDACTED:...]". A placeholder that stands for more than one value,
+ * or for none in the original, is left unresolved.
+ * @param {string|null} original - The file's current content (real values).
+ * @param {string} proposed - New content from the model.
+ * @param {{ filePath?: string, allowlist?: string[] }} [opts] - As given to redactSecrets().
+ * @returns {{ text: string, restored: number, unresolved: string[] }} unresolved placeholders mean
+ *   the text must not be written.
+ */
+export function restoreSecrets(original, proposed, { filePath = "", allowlist = [] } = {}) {
+  if (typeof proposed !== "string" || !proposed.includes("[REDACTED:")) return { text: proposed, restored: 0, unresolved: [] };
+  const values = new Map();
+  for (const { placeholder, value } of redactWithValues(original || "", { filePath, allowlist }).replaced) {
+    if (!values.has(placeholder)) values.set(placeholder, new Set());
+    values.get(placeholder).add(value);
+  }
+
+  let restored = 0;
+  const unresolved = new Set();
+  const text = proposed.replace(PLACEHOLDER, token => {
+    if (original?.includes(token)) return token; // Literally in the file already
+    const found = values.get(token);
+    if (found?.size === 1) {
+      restored++;
+      return [...found][0];
+    }
+    unresolved.add(token);
+    return token;
+  });
+  return { text, restored, unresolved: [...unresolved] };
+}
+
+/**
+ * Summarizes findings for display, e.g. "2× env value (.env), 1× NVIDIA key (build output)".
+ * Never includes the secret values themselves.
+ */
+export function summarizeFindings(findings) {
+  const counts = new Map();
+  for (const f of findings) {
+    const label = `${f.type} (${f.source})`;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return [...counts].map(([label, n]) => `${n}× ${label}`).join(", ");
+}
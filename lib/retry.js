@@ -0,0 +1,110 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter for model API calls. Rate limits, server
+ * errors (5xx), timeouts and network failures are retried separately, each
+ * with its own budget; `Retry-After` is honored. Tunable with
+ * `"retry": { ... }` in devai.config.json.
+ */
+
+export const DEFAULT_RETRY = {
+  rateLimit: 4,        // Retries after 429
+  server: 3,           // Retries after 5xx
+  network: 3,          // Retries after connection resets, DNS failures, dropped streams
+  timeout: 1,          // Retries after a request timed out (slow, so only once)
+  baseDelay: 1,        // Seconds before the first retry; doubles each time
+  maxDelay: 30,        // Seconds; also the longest Retry-After we are willing to wait
+  requestTimeout: 120, // Seconds to wait for the model to start responding
+};
+
+const NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ETIMEDOUT", "ENETUNREACH", "EHOSTUNREACH", "UND_ERR_SOCKET"]);
+
+/**
+ * Validates `"retry"` from devai.config.json and fills in defaults.
+ * @param {object} [config]
+ * @returns {typeof DEFAULT_RETRY}
+ */
+export function retryPolicy(config) {
+  if (config === undefined) return { ...DEFAULT_RETRY };
+  if (config === null || typeof config !== "object" || Array.isArray(config)) throw new Error('"retry" must be an object');
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in DEFAULT_RETRY)) throw new Error(`"retry.${key}" is not a known setting`);
+    const counts = ["rateLimit", "server", "network", "timeout"].includes(key);
+    if (counts ? !(Number.isInteger(value) && value >= 0) : !(typeof value === "number" && value > 0)) {
+      throw new Error(`"retry.${key}" must be ${counts ? "a whole number of retries" : "a positive number of seconds"}`);
+    }
+  }
+  return { ...DEFAULT_RETRY, ...config };
+}
+
+/**
+ * Sorts an API error into how it should be handled.
+ * @returns {{ kind: "rateLimit"|"server"|"timeout"|"network"|"unavailable"|"fatal", label: string, fallback: boolean }}
+ *   kind is also the retry budget it draws from; "unavailable" (bad key, unknown model) and "fatal"
+ *   (bad request) are never retried. fallback: another model may succeed where this one failed.
+ */
+export function classifyError(e) {
+  const status = e?.status;
+  const code = e?.code || e?.cause?.code;
+  const detail = e?.message ? `: ${e.message.split("\n")[0].slice(0, 120)}` : "";
+  if (status === 429) return { kind: "rateLimit", label: "rate limited (429)", fallback: true };
+  if (status >= 500) return { kind: "server", label: `server error (${status})`, fallback: true };
+  if (status === 408 || e?.name === "APIConnectionTimeoutError" || (status === undefined && /timed? ?out/i.test(e?.message || ""))) {
+    return { kind: "timeout", label: "request timed out", fallback: true };
+  }
+  if (status === 401 || status === 403) return { kind: "unavailable", label: `access denied (${status})`, fallback: true };
+  if (status === 404) return { kind: "unavailable", label: "model not found (404)", fallback: true };
+  if (status === undefined && (NETWORK_CODES.has(code) || e?.name === "APIConnectionError" || /fetch failed|terminated|socket|network|premature close/i.test(e?.message || ""))) {
+    return { kind: "network", label: `network error${code ? ` (${code})` : ""}`, fallback: true };
+  }
+  return { kind: "fatal", label: `request failed${status ? ` (${status})` : ""}${detail}`, fallback: false };
+}
+
+/** Seconds the server asked us to wait (Retry-After / retry-after-ms), or null. */
+export function retryAfter(e) {
+  const headers = e?.headers;
+  if (!headers) return null;
+  const get = name => (typeof headers.get === "function" ? headers.get(name) : headers[name]) ?? null;
+  const ms = Number(get("retry-after-ms"));
+  if (ms > 0) return ms / 1000;
+  const value = get("retry-after");
+  if (value === null || value === "") return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Number(value);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/** Delay before retry number `n` (1-based): baseDelay·2^(n-1), capped at maxDelay, with ±25% jitter. */
+export function backoffDelay(n, policy = DEFAULT_RETRY) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (n - 1));
+  return delay * (0.75 + Math.random() * 0.5);
+}
+
+/**
+ * Runs `fn` until it succeeds or its error is out of retries.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {typeof DEFAULT_RETRY} policy
+ * @param {{ onRetry?: (e: { error: Error, label: string, delay: number, retryAfter: boolean, n: number, max: number }) => void }} [opts]
+ * @returns {Promise<T>} Rejects with the last error.
+ */
+export async function withRetry(fn, policy, { onRetry = () => {} } = {}) {
+  const used = {};
+  let total = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (error) {
+      const { kind, label } = classifyError(error);
+      const max = policy[kind] ?? 0;
+      used[kind] = (used[kind] || 0) + 1;
+      if (used[kind] > max) throw error;
+
+      // A server asking for a longer wait than we'd back off is better served by a fallback model
+      const asked = kind === "rateLimit" || kind === "server" ? retryAfter(error) : null;
+      if (asked !== null && asked > policy.maxDelay) throw error;
+      const delay = asked ?? backoffDelay(++total, policy);
+      onRetry({ error, label, delay, retryAfter: asked !== null, n: used[kind], max });
+      await new Promise(r => setTimeout(r, delay * 1000));
+    }
+  }
+}
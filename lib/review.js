@@ -0,0 +1,97 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { structuredPatch } from "diff";
+import chalk from "chalk";
+
+/**
+ * Staged Review Helpers
+ * Hunk-level diffing, rendering and partial application used by the
+ * interactive review step before files are written.
+ */
+
+/**
+ * Splits a change into unified-diff hunks.
+ * @param {string} filePath
+ * @param {string} before - Current content ("" for a new file).
+ * @param {string} after - Proposed content.
+ */
+export function fileHunks(filePath, before, after) {
+  return structuredPatch(filePath, filePath, before, after, "", "", { context: 3 }).hunks;
+}
+
+function side(hunk, keep) {
+  return hunk.lines.filter(l => l[0] === " " || l[0] === keep).map(l => l.slice(1));
+}
+
+/** Lines a hunk produces when accepted. */
+export function hunkNewLines(hunk) {
+  return side(hunk, "+");
+}
+
+export function hunkHeader(hunk) {
+  return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+/** Plain unified-diff text of a hunk (for feedback to the model). */
+export function hunkText(hunk) {
+  return [hunkHeader(hunk), ...hunk.lines].join("\n");
+}
+
+/** Colored unified-diff text of a hunk for the terminal. */
+export function renderHunk(hunk) {
+  const body = hunk.lines.map(l => {
+    if (l[0] === "+") return chalk.green(l);
+    if (l[0] === "-") return chalk.red(l);
+    if (l[0] === "\\") return chalk.dim(l);
+    return chalk.gray(l);
+  });
+  return [chalk.cyan(hunkHeader(hunk)), ...body].join("\n");
+}
+
+/** False when the hunk's new side ends without a newline ("\ No newline at end of file" after a + or context line). */
+function endsWithNewline(hunk) {
+  return !hunk.lines.some((l, i) => l[0] === "\\" && i > 0 && hunk.lines[i - 1][0] !== "-");
+}
+
+/**
+ * Rebuilds a file from its original content and per-hunk decisions.
+ * @param {string} before - Original content.
+ * @param {object[]} hunks - From fileHunks(before, ...).
+ * @param {Array<string[]|null>} replacements - Lines to put in place of each
+ *   hunk's original region, or null to keep the original (rejected hunk).
+ * @returns {string} Ends with a newline as the original does, unless an
+ *   accepted hunk at the end of the file changes that.
+ */
+export function applyHunks(before, hunks, replacements) {
+  let eol = before.endsWith("\n");
+  const oldLines = before === "" ? [] : (eol ? before.slice(0, -1) : before).split("\n");
+  const out = [];
+  let pos = 0;
+  hunks.forEach((hunk, i) => {
+    const start = Math.max(0, hunk.oldStart - 1);
+    out.push(...oldLines.slice(pos, start));
+    out.push(...(replacements[i] ?? side(hunk, "-")));
+    pos = start + hunk.oldLines;
+    if (replacements[i] && pos >= oldLines.length) eol = endsWithNewline(hunk);
+  });
+  out.push(...oldLines.slice(pos));
+  return out.join("\n") + (eol && out.length > 0 ? "\n" : "");
+}
+
+/**
+ * Opens text in $VISUAL / $EDITOR and returns the edited result.
+ * @returns {string|null} null if the editor exited with an error.
+ */
+export function editText(text, nameHint = "devai-edit.txt") {
+  const tmp = path.join(os.tmpdir(), `devai-${Date.now()}-${path.basename(nameHint)}`);
+  fs.writeFileSync(tmp, text);
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+  try {
+    const result = spawnSync(`${editor} "${tmp}"`, { stdio: "inherit", shell: true });
+    return result.status === 0 ? fs.readFileSync(tmp, "utf8") : null;
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Response Schema
+ * The shape of a model response (plan, files per action, instructions,
+ * read) as a small JSON Schema subset, and a validator that reports every
+ * violation with its path, e.g. `files[0].edits: required for action "edit"`.
+ */
+
+const PATH = { type: "string", minLength: 1 };
+
+const EDIT = {
+  type: "object",
+  required: ["search", "replace"],
+  properties: { search: { type: "string", minLength: 1 }, replace: { type: "string" } },
+};
+
+const MOVE = { required: ["path", "to"], properties: { path: PATH, to: PATH, content: { type: "string" } } };
+
+// One variant per "action"; entries without an action are edits if they have "edits", else creates
+export const FILE_ACTIONS = {
+  create: { required: ["path", "content"], properties: { path: PATH, content: { type: "string" } } },
+  edit: { required: ["path", "edits"], properties: { path: PATH, edits: { type: "array", minItems: 1, items: EDIT } } },
+  patch: { required: ["path", "diff"], properties: { path: PATH, diff: { type: "string", minLength: 1 } } },
+  delete: { required: ["path"], properties: { path: PATH } },
+  rename: MOVE,
+  move: MOVE,
+};
+
+export const RESPONSE_SCHEMA = {
+  type: "object",
+  anyOf: ["plan", "files", "instructions", "read"],
+  properties: {
+    plan: { type: "array", items: { type: "string" } },
+    files: {
+      type: "array",
+      items: {
+        type: "object",
+        discriminator: { property: "action", mapping: FILE_ACTIONS, fallback: f => (f.edits !== undefined ? "edit" : "create") },
+      },
+    },
+    instructions: { type: "array", items: { type: "string", minLength: 1 } },
+    read: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["path"],
+        properties: { path: PATH, start: { type: "integer", minimum: 1 }, end: { type: "integer", minimum: 1 } },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function validate(value, schema, at, problems) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    problems.push(`${at || "response"}: expected ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at}: must not be empty`);
+  if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: must be at least ${schema.minimum}`);
+  if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at}: needs at least ${schema.minItems} item(s)`);
+  if (schema.items) value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, problems));
+  if (schema.type !== "object") return;
+
+  const prefix = at ? `${at}.` : "";
+  if (schema.anyOf && !schema.anyOf.some(k => value[k] !== undefined)) {
+    problems.push(`${at || "response"}: needs at least one of ${schema.anyOf.map(k => `"${k}"`).join(", ")}`);
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) problems.push(`${prefix}${key}: required`);
+  }
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    if (value[key] !== undefined) validate(value[key], sub, `${prefix}${key}`, problems);
+  }
+
+  const d = schema.discriminator;
+  if (d) {
+    const tag = value[d.property] ?? d.fallback(value);
+    const variant = d.mapping[tag];
+    if (!variant) {
+      problems.push(`${prefix}${d.property}: must be one of ${Object.keys(d.mapping).map(k => `"${k}"`).join(", ")} (got ${JSON.stringify(tag)})`);
+      return;
+    }
+    for (const key of variant.required) {
+      if (value[key] === undefined) problems.push(`${prefix}${key}: required for ${d.property} "${tag}"`);
+    }
+    for (const [key, sub] of Object.entries(variant.properties)) {
+      if (value[key] !== undefined) validate(value[key], sub, `${prefix}${key}`, problems);
+    }
+  }
+}
+
+/**
+ * Checks a parsed response against RESPONSE_SCHEMA.
+ * @param {*} data - Parsed JSON.
+ * @returns {string[]} Violations as "path: problem"; empty when valid.
+ */
+export function validateResponse(data) {
+  const problems = [];
+  validate(data, RESPONSE_SCHEMA, "", problems);
+  // Name the file next to its index so corrections are easy to place
+  return problems.map(p => p.replace(/^files\[(\d+)\]/, (m, i) => {
+    const file = data.files?.[i]?.path;
+    return typeof file === "string" && file ? `${m} (${file})` : m;
+  }));
+}
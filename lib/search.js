@@ -0,0 +1,177 @@
+import fs from "fs";
+import path from "path";
+import { DEVAI_DIR, ensureDevaiDir } from "./history.js";
+
+/**
+ * Retrieval Index
+ * A BM25 inverted index over the project's text files, kept in
+ * .devai/index.json and updated incrementally from file mtimes. Identifiers
+ * are split on camelCase and snake_case so "getUserName" matches "user name".
+ */
+
+const INDEX_FILE = "index.json";
+const INDEX_VERSION = 2; // 2: file text is redacted before indexing
+const PATH_WEIGHT = 3; // A term in the file path counts like this many occurrences in the body
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// English filler plus request verbs that match nearly every file
+export const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from", "has", "have",
+  "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "no", "not", "of", "on", "or", "our", "should",
+  "so", "that", "the", "their", "then", "there", "these", "this", "to", "up", "us", "was", "we", "were", "what",
+  "when", "where", "which", "while", "who", "why", "will", "with", "would", "you", "your",
+  "add", "change", "create", "fix", "get", "help", "implement", "make", "need", "new", "please", "put", "remove",
+  "set", "some", "update", "use", "want",
+]);
+
+/** Splits "getUserName", "user_name" or "HTTPServer" into lowercase parts. */
+export function splitIdentifier(word) {
+  return word
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(/[\s_$-]+/)
+    .map(w => w.toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Turns text into index terms: whole identifiers plus their parts, minus
+ * stopwords, single characters and bare numbers.
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of text.match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || []) {
+    const parts = splitIdentifier(word);
+    const whole = parts.join("");
+    if (parts.length > 1 && whole.length <= 40) terms.push(whole);
+    for (const p of parts) {
+      if (p.length > 1 && !STOPWORDS.has(p) && !/^\d+$/.test(p)) terms.push(p);
+    }
+  }
+  return terms;
+}
+
+// Maps keyed by terms and paths: "constructor" or "__proto__" must not hit Object.prototype
+const dict = (entries = {}) => Object.assign(Object.create(null), entries);
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, docs: dict(), postings: dict() };
+}
+
+/** Reads .devai/index.json (an empty index if missing, corrupt or outdated). */
+export function loadIndex(projectDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(projectDir, DEVAI_DIR, INDEX_FILE), "utf8"));
+    if (data.version === INDEX_VERSION && data.docs && data.postings) {
+      const postings = dict();
+      for (const [term, docs] of Object.entries(data.postings)) postings[term] = dict(docs);
+      return { version: data.version, docs: dict(data.docs), postings };
+    }
+  } catch {}
+  return emptyIndex();
+}
+
+/**
+ * Brings the index in line with the given files, re-tokenizing only those
+ * whose mtime or size changed and dropping files that disappeared.
+ * @param {string} projectDir
+ * @param {Array<{ path: string, content: string, size: number, mtime: number }>} files - From collectFiles().
+ * @param {{ prepare?: (content: string, path: string) => string }} [opts] - prepare rewrites a file's
+ *   text before it is tokenized (e.g. to mask secrets), for re-read files only.
+ * @returns {{ index: object, updated: number, removed: number }}
+ */
+export function updateIndex(projectDir, files, { prepare = content => content } = {}) {
+  const index = loadIndex(projectDir);
+  const current = new Map(files.map(f => [f.path, f]));
+  const stale = new Set(Object.keys(index.docs).filter(p => {
+    const f = current.get(p);
+    return !f || f.mtime !== index.docs[p].mtime || f.size !== index.docs[p].size;
+  }));
+  const fresh = files.filter(f => !index.docs[f.path] || stale.has(f.path));
+
+  if (stale.size === 0 && fresh.length === 0) return { index, updated: 0, removed: 0 };
+
+  // Drop postings of changed and deleted files in one pass
+  if (stale.size > 0) {
+    for (const [term, docs] of Object.entries(index.postings)) {
+      for (const p of Object.keys(docs)) if (stale.has(p)) delete docs[p];
+      if (Object.keys(docs).length === 0) delete index.postings[term];
+    }
+    for (const p of stale) delete index.docs[p];
+  }
+
+  for (const f of fresh) {
+    const counts = new Map();
+    const add = (term, n) => counts.set(term, (counts.get(term) || 0) + n);
+    for (const t of tokenize(prepare(f.content, f.path))) add(t, 1);
+    for (const t of tokenize(f.path)) add(t, PATH_WEIGHT);
+
+    let length = 0;
+    for (const [term, n] of counts) {
+      (index.postings[term] ||= dict())[f.path] = n;
+      length += n;
+    }
+    index.docs[f.path] = { mtime: f.mtime, size: f.size, length };
+  }
+
+  try {
+    ensureDevaiDir(projectDir);
+    fs.writeFileSync(path.join(projectDir, DEVAI_DIR, INDEX_FILE), JSON.stringify(index));
+  } catch {}
+  return { index, updated: fresh.length, removed: [...stale].filter(p => !current.has(p)).length };
+}
+
+/**
+ * Scores indexed files against a query with BM25.
+ * @returns {Map<string, number>} path → score, only for files matching at least one term.
+ */
+export function searchIndex(index, query) {
+  const scores = new Map();
+  const docPaths = Object.keys(index.docs);
+  if (docPaths.length === 0) return scores;
+
+  const avgLength = docPaths.reduce((n, p) => n + index.docs[p].length, 0) / docPaths.length || 1;
+  for (const term of new Set(tokenize(query))) {
+    const docs = index.postings[term];
+    if (!docs) continue;
+    const df = Object.keys(docs).length;
+    const idf = Math.log(1 + (docPaths.length - df + 0.5) / (df + 0.5));
+    for (const [p, tf] of Object.entries(docs)) {
+      const norm = tf + K1 * (1 - B + B * index.docs[p].length / avgLength);
+      scores.set(p, (scores.get(p) || 0) + idf * (tf * (K1 + 1)) / norm);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Lines matching a pattern, case-insensitive; a pattern that isn't a valid
+ * regex is searched as plain text.
+ * @param {Array<{ path: string, content: string }>} files
+ * @param {string} pattern
+ * @param {{ under?: string, prepare?: (content: string, path: string) => string, limit?: number }} [opts] -
+ *   under: a folder to search in. prepare rewrites a file's text before it is searched (e.g. to mask
+ *   secrets, so a match can't reveal what was masked).
+ * @returns {Array<{ path: string, line: number, text: string }>}
+ */
+export function grepFiles(files, pattern, { under, prepare = content => content, limit = 100 } = {}) {
+  let re;
+  try { re = new RegExp(pattern, "i"); } catch {
+    re = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+  const dir = under ? path.normalize(under).replace(/[/\\]$/, "") : ".";
+  const matches = [];
+  for (const f of files) {
+    if (dir !== "." && f.path !== dir && !f.path.startsWith(`${dir}/`)) continue;
+    const lines = prepare(f.content, f.path).split("\n");
+    for (let i = 0; i < lines.length && matches.length < limit; i++) {
+      if (re.test(lines[i])) matches.push({ path: f.path, line: i + 1, text: lines[i] });
+    }
+    if (matches.length >= limit) break;
+  }
+  return matches;
+}
@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+import { DEVAI_DIR, ensureDevaiDir } from "./history.js";
+import { formatCost } from "./usage.js";
+
+/**
+ * Named Sessions
+ * Each conversation lives in .devai/sessions/<name>.json (messages plus
+ * metadata: model, created time, files touched, token usage) next to its
+ * append-only <name>.transcript.jsonl. `last` remembers what to resume;
+ * /session export writes to .devai/sessions/exports/.
+ */
+
+const SESSIONS_DIR = "sessions";
+const EXPORTS_DIR = "exports";
+const LAST_FILE = "last";
+const NAME = /^[\w.-]{1,64}$/;
+
+function sessionsDir(projectDir) {
+  return path.join(projectDir, DEVAI_DIR, SESSIONS_DIR);
+}
+
+function sessionFile(projectDir, name) {
+  return path.join(sessionsDir(projectDir), `${name}.json`);
+}
+
+/** True for names usable as file names (letters, digits, _ . -). */
+export function isValidSessionName(name) {
+  return NAME.test(name || "") && !name.startsWith(".");
+}
+
+/** Default name for a new session, e.g. "2026-10-18-1942" ("-2", "-3"... when that minute is taken). */
+export function defaultSessionName(projectDir, date = new Date()) {
+  const pad = n => String(n).padStart(2, "0");
+  const base = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  let name = base;
+  for (let n = 2; sessionExists(projectDir, name); n++) name = `${base}-${n}`;
+  return name;
+}
+
+export function transcriptPath(projectDir, name) {
+  return path.join(sessionsDir(projectDir), `${name}.transcript.jsonl`);
+}
+
+/** Where /session export writes, kept inside .devai so exports never land in the project tree. */
+export function exportPath(projectDir, name, ext) {
+  ensureDevaiDir(projectDir);
+  const dir = path.join(sessionsDir(projectDir), EXPORTS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `${name}.${ext}`);
+}
+
+/**
+ * A new, unsaved session.
+ * @param {string} name
+ * @param {{ model?: string, messages?: object[], forkedFrom?: string }} [opts]
+ */
+export function createSession(name, { model = "", messages = [], forkedFrom } = {}) {
+  const now = new Date().toISOString();
+  return {
+    name, model, created: now, updated: now, ...(forkedFrom ? { forkedFrom } : {}),
+    filesTouched: [], tokens: { input: 0, output: 0, requests: 0, estimated: 0, cost: 0 }, messages,
+  };
+}
+
+export function sessionExists(projectDir, name) {
+  return fs.existsSync(sessionFile(projectDir, name));
+}
+
+/** @returns {object|null} null if missing, unreadable or not a valid session name. */
+export function loadSession(projectDir, name) {
+  if (!isValidSessionName(name)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(sessionFile(projectDir, name), "utf8"));
+    if (!Array.isArray(data.messages)) return null;
+    return { ...createSession(name), ...data, name };
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(projectDir, session) {
+  ensureDevaiDir(projectDir);
+  fs.mkdirSync(sessionsDir(projectDir), { recursive: true });
+  session.updated = new Date().toISOString();
+  fs.writeFileSync(sessionFile(projectDir, session.name), JSON.stringify(session, null, 2));
+  fs.writeFileSync(path.join(sessionsDir(projectDir), LAST_FILE), session.name);
+}
+
+/** Name of the most recently saved session, if it still exists. */
+export function lastSessionName(projectDir) {
+  try {
+    const name = fs.readFileSync(path.join(sessionsDir(projectDir), LAST_FILE), "utf8").trim();
+    return sessionExists(projectDir, name) ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Summaries of all sessions, most recently updated first.
+ * @returns {Array<{ name: string, model: string, created: string, updated: string, turns: number, files: number, tokens: object }>}
+ */
+export function listSessions(projectDir) {
+  let names;
+  try {
+    names = fs.readdirSync(sessionsDir(projectDir)).filter(f => f.endsWith(".json")).map(f => f.slice(0, -5));
+  } catch {
+    return [];
+  }
+  return names
+    .map(name => loadSession(projectDir, name))
+    .filter(Boolean)
+    .map(s => ({
+      name: s.name, model: s.model, created: s.created, updated: s.updated,
+      turns: s.messages.filter(m => m.role === "user").length, files: s.filesTouched.length, tokens: s.tokens,
+    }))
+    .sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/** Copies a session's transcript to a fork so its audit trail starts complete. */
+export function copyTranscript(projectDir, from, to) {
+  const src = transcriptPath(projectDir, from);
+  if (fs.existsSync(src)) fs.copyFileSync(src, transcriptPath(projectDir, to));
+}
+
+/**
+ * Reads a session's raw transcript.
+ * @returns {Array<{ time: string, role: string, content: string }>}
+ */
+export function readTranscript(projectDir, name) {
+  try {
+    return fs.readFileSync(transcriptPath(projectDir, name), "utf8")
+      .split("\n").filter(Boolean).map(line => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Renders a session as Markdown.
+ * @param {object} session
+ * @param {Array<{ role: string, content: string, time?: string }>} entries - Conversation to include.
+ * @param {string} [notes] - Current session notes.
+ */
+export function sessionToMarkdown(session, entries, notes = "") {
+  const lines = [
+    `# DevAI session: ${session.name}`,
+    "",
+    `- **Model:** ${session.model || "unknown"}`,
+    `- **Created:** ${session.created}`,
+    `- **Updated:** ${session.updated}`,
+    ...(session.forkedFrom ? [`- **Forked from:** ${session.forkedFrom}`] : []),
+    `- **Tokens:** ${session.tokens.input} in / ${session.tokens.output} out over ${session.tokens.requests} request(s)${session.tokens.cost > 0 ? ` (${formatCost(session.tokens.cost)})` : ""}`,
+    `- **Files touched:** ${session.filesTouched.length ? session.filesTouched.map(f => `\`${f}\``).join(", ") : "none"}`,
+    "",
+  ];
+  if (notes) lines.push("## Session notes", "", notes, "");
+  lines.push("## Conversation", "");
+  for (const e of entries) {
+    lines.push(`### ${e.role === "user" ? "User" : "DevAI"}${e.time ? ` · ${e.time}` : ""}`, "");
+    const fence = e.content.trim().startsWith("{") ? "json" : "";
+    lines.push(fence ? `\`\`\`${fence}\n${e.content}\n\`\`\`` : e.content, "");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,112 @@
+import { formatTokens } from "./tokens.js";
+
+/**
+ * Token Usage & Cost
+ * Per-request token counts from the API's `usage` (asked for on streams with
+ * stream_options.include_usage), or local estimates when an endpoint doesn't
+ * report them, priced with the model's optional `pricing` (USD per 1M
+ * tokens). `"usage": { "budget", "onExceed" }` in devai.config.json caps a session.
+ */
+
+export const DEFAULT_WARN_AT = 0.8; // Share of the budget that triggers the first warning
+
+const noStreamUsage = new Set(); // Model keys whose endpoint rejected stream_options
+
+/** Zeroed totals: `estimated` counts requests whose numbers were estimated, `cost` is USD. */
+export function emptyUsage() {
+  return { input: 0, output: 0, requests: 0, estimated: 0, cost: 0 };
+}
+
+/**
+ * Starts a streaming completion that ends with a usage chunk where the
+ * endpoint supports it. Endpoints that reject stream_options are remembered
+ * and asked without it; `"streamUsage": false` on a model skips it up front.
+ */
+export async function createStream(client, model, params) {
+  if (model.streamUsage !== false && !noStreamUsage.has(model.key)) {
+    try {
+      return await client.chat.completions.create({ ...params, stream: true, stream_options: { include_usage: true } });
+    } catch (e) {
+      if (e?.status !== 400 || !/stream_options|include_usage/i.test(e.message || "")) throw e;
+      noStreamUsage.add(model.key);
+    }
+  }
+  return client.chat.completions.create({ ...params, stream: true });
+}
+
+/** USD for the given tokens, or null when the model has no pricing. */
+export function costOf(model, input, output) {
+  const p = model?.pricing;
+  if (!p) return null;
+  return (input * (p.input || 0) + output * (p.output || 0)) / 1e6;
+}
+
+/**
+ * One request's usage: the API's numbers when it reported them, else the estimates.
+ * @param {object} model - From getModel(); its pricing is applied.
+ * @param {{ prompt_tokens?: number, completion_tokens?: number }|null|undefined} reported - `usage` from the API.
+ * @param {number} estInput
+ * @param {number} estOutput
+ * @returns {{ input: number, output: number, estimated: boolean, cost: number|null }}
+ */
+export function measureUsage(model, reported, estInput, estOutput) {
+  const exact = Number.isFinite(reported?.prompt_tokens) && Number.isFinite(reported?.completion_tokens);
+  const input = exact ? reported.prompt_tokens : estInput;
+  const output = exact ? reported.completion_tokens : estOutput;
+  return { input, output, estimated: !exact, cost: costOf(model, input, output) };
+}
+
+/** Adds one measured request to running totals (mutates and returns them). */
+export function addUsage(totals, usage) {
+  totals.input = (totals.input || 0) + usage.input;
+  totals.output = (totals.output || 0) + usage.output;
+  totals.requests = (totals.requests || 0) + 1;
+  totals.estimated = (totals.estimated || 0) + (usage.estimated ? 1 : 0);
+  totals.cost = (totals.cost || 0) + (usage.cost || 0);
+  return totals;
+}
+
+export function formatCost(usd) {
+  return `$${usd.toFixed(usd >= 1 || usd === 0 ? 2 : usd >= 0.01 ? 3 : 4)}`;
+}
+
+/** "12.3k in / 2.1k out · $0.04" — "~" marks totals that include estimates. */
+export function formatUsage(totals) {
+  const approx = totals.estimated > 0 ? "~" : "";
+  return `${approx}${formatTokens(totals.input || 0)} in / ${approx}${formatTokens(totals.output || 0)} out${totals.cost > 0 ? ` · ${formatCost(totals.cost)}` : ""}`;
+}
+
+/**
+ * Validates `"usage"` from devai.config.json.
+ * @param {{ budget?: { tokens?: number, cost?: number }, onExceed?: "warn"|"block", warnAt?: number }} [config]
+ * @returns {{ budget: { tokens?: number, cost?: number }, onExceed: "warn"|"block", warnAt: number }}
+ */
+export function usagePolicy(config = {}) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) throw new Error('"usage" must be an object');
+  const { budget = {}, onExceed = "warn", warnAt = DEFAULT_WARN_AT } = config;
+  if (budget === null || typeof budget !== "object" || Array.isArray(budget)) throw new Error('"usage.budget" must be an object');
+  for (const [key, value] of Object.entries(budget)) {
+    if (!["tokens", "cost"].includes(key)) throw new Error(`"usage.budget.${key}" is not a known limit (use "tokens" or "cost")`);
+    if (!(typeof value === "number" && value > 0)) throw new Error(`"usage.budget.${key}" must be a positive number`);
+  }
+  if (!["warn", "block"].includes(onExceed)) throw new Error('"usage.onExceed" must be "warn" or "block"');
+  if (!(typeof warnAt === "number" && warnAt > 0 && warnAt <= 1)) throw new Error('"usage.warnAt" must be a number between 0 and 1');
+  return { budget, onExceed, warnAt };
+}
+
+/**
+ * Where session totals stand against the budget.
+ * @returns {{ level: "ok"|"near"|"over", message: string }} message names the limit that is closest to running out.
+ */
+export function checkBudget(totals, policy) {
+  const limits = [];
+  if (policy.budget.tokens) limits.push({ used: (totals.input || 0) + (totals.output || 0), max: policy.budget.tokens, show: formatTokens, unit: " tokens" });
+  if (policy.budget.cost) limits.push({ used: totals.cost || 0, max: policy.budget.cost, show: formatCost, unit: "" });
+  if (limits.length === 0) return { level: "ok", message: "" };
+
+  const worst = limits.reduce((a, b) => (b.used / b.max > a.used / a.max ? b : a));
+  const share = worst.used / worst.max;
+  const message = `${worst.show(worst.used)} of ${worst.show(worst.max)}${worst.unit} (${Math.round(share * 100)}%)`;
+  if (share >= 1) return { level: "over", message };
+  return { level: share >= policy.warnAt ? "near" : "ok", message };
+}
@@ -0,0 +1,112 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+
+/**
+ * Verification Pipeline
+ * Ordered stages (typecheck → lint → test → build) run fail-fast after
+ * changes. Stages come from `"verify": { "stages": [...] }` in
+ * devai.config.json or are detected from package.json, tsconfig.json,
+ * pyproject.toml, Cargo.toml and go.mod.
+ */
+
+export const STAGE_ORDER = ["typecheck", "lint", "test", "build"];
+export const DEFAULT_TIMEOUT = 120; // Seconds per stage
+
+const NPM_PLACEHOLDER_TEST = 'echo "Error: no test specified" && exit 1';
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+function detectNodeStages(dir, pkg) {
+  const scripts = pkg.scripts || {};
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const stages = {};
+  const typecheckScript = ["typecheck", "type-check", "tsc", "check-types"].find(s => scripts[s]);
+  if (typecheckScript) stages.typecheck = `npm run ${typecheckScript}`;
+  else if (fs.existsSync(path.join(dir, "tsconfig.json")) && deps.typescript) stages.typecheck = "npx tsc --noEmit";
+  if (scripts.lint) stages.lint = "npm run lint";
+  if (scripts.test && scripts.test !== NPM_PLACEHOLDER_TEST) stages.test = "npm test";
+  if (scripts.build) stages.build = "npm run build";
+  return stages;
+}
+
+function detectPythonStages(dir) {
+  const pyproject = readText(path.join(dir, "pyproject.toml"));
+  const has = file => fs.existsSync(path.join(dir, file));
+  const stages = {};
+  if (/^\[tool\.mypy\]/m.test(pyproject) || has("mypy.ini")) stages.typecheck = "mypy .";
+  if (/^\[tool\.ruff/m.test(pyproject) || has("ruff.toml") || has(".ruff.toml")) stages.lint = "ruff check .";
+  else if (/^\[tool\.flake8\]/m.test(pyproject) || has(".flake8")) stages.lint = "flake8";
+  stages.test = "python -m pytest";
+  return stages;
+}
+
+/**
+ * Stages inferred from the project's manifest files, in pipeline order.
+ * @returns {Array<{ name: string, run: string }>}
+ */
+export function detectStages(dir) {
+  let stages = {};
+  const pkg = readJson(path.join(dir, "package.json"));
+  if (pkg) stages = detectNodeStages(dir, pkg);
+  else if (["pyproject.toml", "requirements.txt", "setup.py"].some(f => fs.existsSync(path.join(dir, f)))) stages = detectPythonStages(dir);
+  else if (fs.existsSync(path.join(dir, "Cargo.toml"))) stages = { typecheck: "cargo check", lint: "cargo clippy -- -D warnings", test: "cargo test" };
+  else if (fs.existsSync(path.join(dir, "go.mod"))) stages = { typecheck: "go vet ./...", test: "go test ./...", build: "go build ./..." };
+  return STAGE_ORDER.filter(name => stages[name]).map(name => ({ name, run: stages[name] }));
+}
+
+/**
+ * Validates `"verify"` from devai.config.json. Stages are commands or
+ * `{ name, run, timeout }` objects; timeouts are in seconds.
+ * @param {{ stages?: Array<string|object>, timeout?: number }} [verify]
+ * @returns {Array<{ name: string, run: string, timeout?: number }>|null} null when no stages are configured.
+ */
+export function configuredStages(verify) {
+  if (!verify?.stages) return null;
+  if (!Array.isArray(verify.stages)) throw new Error('"verify.stages" must be an array');
+  return verify.stages.map((s, i) => {
+    const stage = typeof s === "string" ? { run: s } : s;
+    if (!stage || typeof stage.run !== "string" || !stage.run.trim()) {
+      throw new Error(`"verify.stages[${i}]" needs a "run" command`);
+    }
+    if (stage.timeout !== undefined && !(stage.timeout > 0)) {
+      throw new Error(`"verify.stages[${i}].timeout" must be a positive number of seconds`);
+    }
+    return { name: stage.name || stage.run.trim().split(/\s+/).slice(0, 3).join(" "), run: stage.run, ...(stage.timeout ? { timeout: stage.timeout } : {}) };
+  });
+}
+
+/**
+ * Runs one stage.
+ * @param {{ run: string, timeout?: number }} stage
+ * @param {string} cwd
+ * @param {number} [defaultTimeout] - Seconds, for stages without their own.
+ * @returns {{ ok: boolean, output: string, timedOut: boolean, seconds: number }}
+ */
+export function runStage(stage, cwd, defaultTimeout = DEFAULT_TIMEOUT) {
+  const timeout = (stage.timeout || defaultTimeout) * 1000;
+  const started = Date.now();
+  const seconds = () => (Date.now() - started) / 1000;
+  try {
+    const output = execSync(stage.run, { cwd, encoding: "utf8", timeout, stdio: ["pipe", "pipe", "pipe"] });
+    return { ok: true, output, timedOut: false, seconds: seconds() };
+  } catch (e) {
+    const timedOut = e.code === "ETIMEDOUT" || (e.signal === "SIGTERM" && seconds() * 1000 >= timeout);
+    const output = (e.stderr || "") + (e.stdout || "") || e.message;
+    return { ok: false, output, timedOut, seconds: seconds() };
+  }
+}
@@ -8,7 +8,7 @@ async function testModel(m) {
   console.log(`\n👉 Testing: ${m.name} (${m.id})`);
   try {
     const config = getModel(m.key);
-    const client = createClient(config.apiKey);
+    const client = createClient(config);
     
     // Add timeout via AbortController
     const controller = new AbortController();
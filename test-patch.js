@@ -0,0 +1,59 @@
+import { applyUnifiedDiff } from "./lib/patch.js";
+
+// Checks lib/patch.js against the cases models get wrong most often
+const failures = [];
+const expect = (label, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+};
+
+const FILE = "a\nb\nc\nd\ne\nf\ng\nh\n";
+
+// Pure insertions: "-N,0" inserts after line N, "-0,0" at the top
+let r = applyUnifiedDiff("a\nb\nc\nd\n", "@@ -3,0 +4,1 @@\n+X\n");
+expect("insert after line 3", r.content, "a\nb\nc\nX\nd\n");
+expect("insert reported as written", r.applied, [{ header: "@@ -3,0 +4,1 @@", offset: 0, fuzz: 0 }]);
+r = applyUnifiedDiff("a\nb\n", "@@ -0,0 +1,1 @@\n+top\n");
+expect("insert at top", r.content, "top\na\nb\n");
+r = applyUnifiedDiff("", "--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+one\n+two\n");
+expect("new file", r.content, "one\ntwo\n");
+
+// Insertion with context
+r = applyUnifiedDiff(FILE, "@@ -2,2 +2,3 @@\n b\n+B2\n c\n");
+expect("insert between context", r.content, "a\nb\nB2\nc\nd\ne\nf\ng\nh\n");
+
+// Deletion
+r = applyUnifiedDiff(FILE, "@@ -3,3 +3,2 @@\n c\n-d\n e\n");
+expect("delete line", r.content, "a\nb\nc\ne\nf\ng\nh\n");
+
+// Two hunks: the first shifts the second, which is still exactly where it says
+r = applyUnifiedDiff(FILE, "@@ -1,2 +1,3 @@\n a\n+A2\n b\n@@ -6,2 +7,2 @@\n f\n-g\n+G\n");
+expect("two hunks", r.content, "a\nA2\nb\nc\nd\ne\nf\nG\nh\n");
+expect("drift is not an offset", r.applied.map(a => a.offset), [0, 0]);
+
+// Wrong line numbers: found nearby and reported as an offset
+r = applyUnifiedDiff(FILE, "@@ -2,3 +2,3 @@\n d\n-e\n+E\n f\n");
+expect("offset hunk", r.content, "a\nb\nc\nd\nE\nf\ng\nh\n");
+expect("offset reported", r.applied[0].offset, 2);
+
+// Fuzz: outer context lines that don't match are dropped
+r = applyUnifiedDiff(FILE, "@@ -3,3 +3,3 @@\n stale\n-d\n+D\n e\n");
+expect("fuzz hunk", r.content, "a\nb\nc\nD\ne\nf\ng\nh\n");
+expect("fuzz reported", r.applied[0].fuzz, 1);
+
+// Failed hunk: reported, the rest still applies
+r = applyUnifiedDiff(FILE, "@@ -2,1 +2,1 @@\n-nowhere\n+X\n@@ -8,1 +8,1 @@\n-h\n+H\n");
+expect("failed hunk leaves content", r.content, "a\nb\nc\nd\ne\nf\ng\nH\n");
+expect("failed hunk reported", r.failed.map(f => f.header), ["@@ -2,1 +2,1 @@"]);
+expect("failure reason", /context not found near line 2/.test(r.failed[0]?.reason), true);
+
+// CRLF files keep their line endings
+r = applyUnifiedDiff("a\r\nb\r\n", "@@ -1,2 +1,2 @@\n a\n-b\n+B\n");
+expect("crlf kept", r.content, "a\r\nB\r\n");
+
+if (failures.length === 0) console.log("✅ TEST PASSED");
+else {
+  failures.forEach(f => console.error("❌ " + f));
+  process.exit(1);
+}
@@ -0,0 +1,40 @@
+import { fileHunks, hunkNewLines, applyHunks } from "./lib/review.js";
+
+// Checks that rebuilding a file from accepted/rejected hunks matches the proposal
+const failures = [];
+const expect = (label, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+};
+
+// Accepting every hunk gives the proposed content; rejecting every hunk the original
+const cases = [
+  ["edit", "a\nb\nc\n", "a\nB\nc\n"],
+  ["newline removed at EOF", "a\nb\n", "a\nb"],
+  ["newline added at EOF", "a\nb", "a\nb\n"],
+  ["last line changed, no newline either side", "a\nb", "a\nB"],
+  ["last line changed and newline removed", "a\nb\n", "a\nB"],
+  ["new file", "", "x\ny\n"],
+  ["new file without newline", "", "x"],
+  ["emptied file", "a\nb\n", ""],
+];
+for (const [label, before, after] of cases) {
+  const hunks = fileHunks("f.txt", before, after);
+  expect(`${label} (accept all)`, applyHunks(before, hunks, hunks.map(hunkNewLines)), after);
+  expect(`${label} (reject all)`, applyHunks(before, hunks, hunks.map(() => null)), before);
+}
+
+// Partial acceptance: only the accepted hunk's EOF change is applied
+const before = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n";
+const after = "1\nTWO\n3\n4\n5\n6\n7\n8\n9\n10";
+const hunks = fileHunks("f.txt", before, after);
+expect("two hunks", hunks.length, 2);
+expect("first hunk only", applyHunks(before, hunks, [hunkNewLines(hunks[0]), null]), "1\nTWO\n3\n4\n5\n6\n7\n8\n9\n10\n");
+expect("EOF hunk only", applyHunks(before, hunks, [null, hunkNewLines(hunks[1])]), "1\n2\n3\n4\n5\n6\n7\n8\n9\n10");
+
+if (failures.length === 0) console.log("✅ TEST PASSED");
+else {
+  failures.forEach(f => console.error("❌ " + f));
+  process.exit(1);
+}
@@ -1,99 +1,74 @@
-
 import { execSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { beginCheckpoint, trackFile, commitCheckpoint, undo, redo, loadHistory } from "./lib/history.js";
 
-// Mock chalk
-const chalk = {
-  gray: (msg) => msg,
-  yellow: (msg) => msg,
-  green: (msg) => msg,
-  red: (msg) => msg,
-};
-
-// --- COPY OF GIT FUNCTIONS FROM DEVAI.JS ---
-
-function gitCheckpoint() {
-  try {
-    execSync("git rev-parse --is-inside-work-tree", { stdio: "ignore" });
-  } catch {
-    return null; 
+// Simulates an AI turn: records each file, then writes it (like patchFile)
+function aiTurn(dir, label, writes) {
+  const cp = beginCheckpoint(dir, label);
+  for (const [file, content] of Object.entries(writes)) {
+    trackFile(cp, file);
+    if (content === null) fs.rmSync(path.join(dir, file), { force: true });
+    else fs.writeFileSync(path.join(dir, file), content);
   }
+  return commitCheckpoint(cp);
+}
+
+const read = (dir, f) => fs.existsSync(path.join(dir, f)) ? fs.readFileSync(path.join(dir, f), "utf8") : null;
 
-  try {
-    const status = execSync("git status --porcelain").toString().trim();
-    if (!status) return "clean"; 
+function runScenario(name, useGit) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "devai-test-"));
+  console.log(`\n--- ${name} (${dir}) ---`);
+  const failures = [];
+  const expect = (label, actual, expected) => {
+    if (actual !== expected) failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  };
 
-    console.log(" 💾 Creating safety checkpoint...");
-    execSync('git stash push --include-untracked -m "DevAI_Auto_Checkpoint"');
-    execSync('git stash apply'); 
-    return "stashed";
-  } catch (e) {
-    console.log("⚠️  Git checkpoint failed: " + e.message);
-    return null;
+  if (useGit) {
+    execSync("git init -q", { cwd: dir });
+    fs.writeFileSync(path.join(dir, "test.txt"), "Initial Content");
+    execSync('git add test.txt && git -c user.email=t@t -c user.name=T commit -q -m "Initial commit"', { cwd: dir });
+  } else {
+    fs.writeFileSync(path.join(dir, "test.txt"), "Initial Content");
   }
-}
 
-function gitRestore(checkpointType) {
-  try {
-    console.log(" ↺ Rolling back changes...");
-    execSync("git reset --hard HEAD", { stdio: "ignore" });
-    execSync("git clean -fd", { stdio: "ignore" }); 
+  // Uncommitted work and an untracked file the AI never touches
+  fs.writeFileSync(path.join(dir, "test.txt"), "Initial + Work in Progress");
+  fs.writeFileSync(path.join(dir, "notes.md"), "my untracked notes");
 
-    if (checkpointType === "stashed") {
-      execSync("git stash pop", { stdio: "ignore" }); 
-    }
-    console.log(" ✅ Rollback complete.");
-  } catch (e) {
-    console.log("❌ Rollback failed: " + e.message);
-  }
-}
+  aiTurn(dir, "turn 1", { "test.txt": "AI turn 1", "new.js": "created by AI" });
+  aiTurn(dir, "turn 2", { "test.txt": "AI turn 2" });
+  expect("history length", loadHistory(dir).entries.length, 2);
 
-// --- TEST LOGIC ---
+  undo(dir, 2);
+  expect("undo 2 restores WIP", read(dir, "test.txt"), "Initial + Work in Progress");
+  expect("undo removes AI-created file", read(dir, "new.js"), null);
+  expect("untracked file untouched", read(dir, "notes.md"), "my untracked notes");
 
-try {
-  // Create temp dir
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "devai-test-"));
-  console.log(`Using temp dir: ${tempDir}`);
-  process.chdir(tempDir);
+  redo(dir);
+  expect("redo re-applies turn 1", read(dir, "test.txt"), "AI turn 1");
+  expect("redo re-creates file", read(dir, "new.js"), "created by AI");
 
-  // 1. Setup Git
-  execSync("git init");
-  execSync('git config user.email "test@test.com"');
-  execSync('git config user.name "Test User"');
-  
-  // 2. Create initial state
-  fs.writeFileSync("test.txt", "Initial Content");
-  execSync("git add test.txt");
-  execSync('git commit -m "Initial commit"');
-  
-  // 3. Make it dirty (uncommitted change)
-  // The user says "Dirty state (uncommitted code) to the stack"
-  // So we simulate working on something
-  fs.writeFileSync("test.txt", "Initial + Work in Progress");
-  console.log("State before AI: Dirty (WIP)");
+  // A new turn after undo drops the redo branch
+  aiTurn(dir, "turn 3", { "test.txt": "AI turn 3" });
+  expect("redo branch dropped", redo(dir), null);
 
-  // 4. CHECKPOINT
-  const checkpoint = gitCheckpoint();
-  
-  // 5. AI Makes Changes (Destructive!)
-  fs.writeFileSync("test.txt", "AI RUINED THIS FILE");
-  console.log("AI modified file to: " + fs.readFileSync("test.txt", "utf8"));
+  // Hand edits after a turn are not clobbered
+  fs.writeFileSync(path.join(dir, "test.txt"), "hand edit");
+  const [result] = undo(dir, 1);
+  expect("conflict reported", result.conflicts.join(), "test.txt");
+  expect("hand edit kept", read(dir, "test.txt"), "hand edit");
 
-  // 6. ROLLBACK
-  gitRestore(checkpoint);
-  
-  // 7. Verify
-  const content = fs.readFileSync("test.txt", "utf8");
-  console.log("Restored content: " + content);
-  
-  if (content === "Initial + Work in Progress") {
-    console.log("\n✅ TEST PASSED: Setup restored correctly!");
-  } else {
-    console.error("\n❌ TEST FAILED: Content mismatch.");
+  if (useGit) {
+    const refs = execSync("git for-each-ref refs/devai", { cwd: dir }).toString().trim().split("\n").filter(Boolean);
+    expect("checkpoints pinned as refs", refs.length, 2);
   }
 
-} catch (e) {
-  console.error(e);
+  if (failures.length === 0) console.log("✅ TEST PASSED");
+  else failures.forEach(f => console.error("❌ " + f));
+  return failures.length === 0;
 }
+
+const ok = [runScenario("git repo", true), runScenario("plain folder", false)].every(Boolean);
+if (!ok) process.exit(1);
@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { updateIndex, loadIndex, searchIndex, grepFiles } from "./lib/search.js";
+import { redactSecrets } from "./lib/redact.js";
+
+// Checks lib/search.js: terms and paths that collide with Object.prototype, and grep over redacted text
+const failures = [];
+const expect = (label, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "devai-search-"));
+const file = (p, content, mtime = 1) => ({ path: p, content, size: content.length, mtime });
+
+try {
+  let { index } = updateIndex(dir, [
+    file("a.js", "class Shape { constructor() { this.toString = hasOwnProperty; } }"),
+    file("keys", "plain text about valueOf"),
+  ]);
+  expect("Object untouched", [Object["a.js"], Object.prototype["a.js"], typeof Object.keys], [undefined, undefined, "function"]);
+  expect("constructor posting", index.postings.constructor, { "a.js": 1 });
+  expect("search constructor", [...searchIndex(index, "constructor").keys()], ["a.js"]);
+  expect("search valueOf", [...searchIndex(index, "valueOf").keys()], ["keys"]);
+  expect("no match for __proto__", searchIndex(index, "__proto__").size, 0);
+
+  // Saved and reloaded from .devai/index.json
+  index = loadIndex(dir);
+  expect("constructor saved", index.postings.constructor, { "a.js": 1 });
+  expect("reloaded search", [...searchIndex(index, "constructor").keys()], ["a.js"]);
+
+  // A changed file drops its old postings, constructor included
+  ({ index } = updateIndex(dir, [file("a.js", "function area() {}", 2), file("keys", "plain text about valueOf")]));
+  expect("stale constructor removed", searchIndex(index, "constructor").size, 0);
+  expect("Object still untouched", Object["a.js"], undefined);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// grep as the agent runs it: over redacted text, so a secret's prefix matches nothing
+const KEY = "nvapi-" + "a1B2c3D4e5F6g7H8i9J0k1L2m3N4";
+const files = [file("src/config.js", `const key = "${KEY}";\nconst url = "https://example.com";`), file("src2/other.js", "const url = 1; // (todo")];
+const prepare = (content, filePath) => redactSecrets(content, { filePath }).text;
+expect("secret prefix", grepFiles(files, "nvapi-a", { prepare }), []);
+expect("secret regex probe", grepFiles(files, "nvapi-[a-z]1B", { prepare }), []);
+expect("redacted line shown", grepFiles(files, "const key", { prepare }).map(m => m.text.includes(KEY)), [false]);
+expect("raw text would leak", grepFiles(files, "nvapi-a").length, 1);
+expect("under a folder", grepFiles(files, "url", { under: "src/" }).map(m => `${m.path}:${m.line}`), ["src/config.js:2"]);
+expect("invalid regex as text", grepFiles(files, "(todo").map(m => m.path), ["src2/other.js"]);
+
+if (failures.length === 0) console.log("✅ TEST PASSED");
+else {
+  failures.forEach(f => console.error("❌ " + f));
+  process.exit(1);
+}
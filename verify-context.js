@@ -1,20 +1,23 @@
 import MODELS from "./config/models.js";
 
-console.log("Verifying Model Context Limits...");
+console.log("Verifying Model Context Windows...");
 
 let allPassed = true;
 
 for (const [key, model] of Object.entries(MODELS)) {
-  if (!model.contextLimit) {
-    console.error(`❌ Model ${model.name} (${key}) is missing contextLimit!`);
+  if (!model.contextWindow) {
+    console.error(`❌ Model ${model.name} (${key}) is missing contextWindow!`);
+    allPassed = false;
+  } else if (model.maxTokens >= model.contextWindow) {
+    console.error(`❌ Model ${model.name} (${key}): maxTokens (${model.maxTokens}) leaves no room in a ${model.contextWindow}-token window!`);
     allPassed = false;
   } else {
-    console.log(`✅ ${model.name}: ${model.contextLimit} chars`);
+    console.log(`✅ ${model.name}: ${model.contextWindow} tokens (${model.maxTokens} reserved for output)`);
   }
 }
 
 if (allPassed) {
-  console.log("\nAll models have context limits configured correctly.");
+  console.log("\nAll models have context windows configured correctly.");
 } else {
   console.log("\nSome models are missing configuration.");
   process.exit(1);